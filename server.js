@@ -7,10 +7,13 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 // Import services and middleware
-const { databaseService } = require('./src/services');
+const { databaseService, webhookQueueService, whatsappSimulatorService } = require('./src/services');
 const ErrorHandler = require('./src/middleware/errorHandler');
+const WebhookSignature = require('./src/middleware/webhookSignature');
+const ChannelContext = require('./src/middleware/channelContext');
 const CorsConfig = require('./src/config/corsConfig');
 const logger = require('./src/utils/logger');
+const constants = require('./src/utils/constants');
 
 const app = express();
 const PORT = process.env.WHATSAPP_API_PORT || 8080;
@@ -27,7 +30,8 @@ CorsConfig.validateConfiguration();
 CorsConfig.logConfiguration();
 
 // Middleware
-app.use(bodyParser.json({ limit: '10mb' }));
+// Keep the raw body so webhook signatures can be verified against the exact bytes Meta signed
+app.use(bodyParser.json({ limit: '10mb', verify: WebhookSignature.captureRawBody }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware
@@ -43,11 +47,19 @@ app.use((req, res, next) => {
 const webhookRoutes = require('./src/routes/webhookRoutes');
 const conversationRoutes = require('./src/routes/conversationRoutes');
 const userRoutes = require('./src/routes/userRoutes');
+const outboundRoutes = require('./src/routes/outboundRoutes');
 
 // Use routes
 app.use('/webhook', webhookRoutes);
-app.use('/api/conversation', conversationRoutes);
-app.use('/api/user', userRoutes);
+app.use('/api/conversation', ChannelContext.resolve, conversationRoutes);
+app.use('/api/user', ChannelContext.resolve, userRoutes);
+app.use('/api/outbound', outboundRoutes);
+
+// Development-only WhatsApp simulator (captures Graph API calls instead of sending them)
+if (constants.SIMULATOR.ENABLED) {
+  whatsappSimulatorService.install();
+  app.use('/dev/simulator', require('./src/routes/simulatorRoutes'));
+}
 
 // Health check endpoint with database status
 app.get('/health', async (req, res) => {
@@ -87,6 +99,9 @@ async function startServer() {
     await databaseService.initialize();
     logger.startup('Database', 'All database services initialized successfully');
     
+    // Start the webhook job worker (also picks up jobs left mid-flight by a crash)
+    await webhookQueueService.start();
+    
     // Start the server
     const server = app.listen(PORT, () => {
       logger.startup('Server', `Server started successfully on port ${PORT}`, {
@@ -104,6 +119,7 @@ async function startServer() {
         logger.info('Server', 'HTTP server closed');
         
         try {
+          await webhookQueueService.stop();
           await databaseService.shutdown();
           logger.success('Server', 'Graceful shutdown completed');
           process.exit(0);
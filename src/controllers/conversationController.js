@@ -7,6 +7,9 @@ const conversationControlService = require('../services/conversationControlServi
 const databaseService = require('../services/databaseService');
 const whatsappService = require('../services/whatsappService');
 const aiService = require('../services/aiService');
+const outboundMediaService = require('../services/outboundMediaService');
+const templateMessageService = require('../services/templateMessageService');
+const ReactionService = require('../services/reactionService');
 const userService = require('../services/userService');
 const validator = require('../utils/validators');
 const constants = require('../utils/constants');
@@ -191,12 +194,13 @@ class ConversationController {
     const startTime = Date.now();
     
     try {
-      const { phoneNumber, lmId, lmName, message, clientMessageId } = req.body;
+      const { phoneNumber, lmId, lmName, message, clientMessageId, replyToMessageId } = req.body;
 
       logger.api('POST', '/api/conversation/lm/send', { 
         phoneNumber, 
         lmId,
         clientMessageId,
+        replyToMessageId,
         lmName_rawInput: {
           provided: 'lmName' in req.body,
           value: lmName,
@@ -224,52 +228,36 @@ class ConversationController {
         });
       }
 
-      // Step 2: Check if user exists
-      const user = await userService.findUserByWhatsappId(validatedData.phoneNumber);
-      if (!user) {
-        logger.warn('ConversationController', 'User not found for LM message', { 
-          phoneNumber: validatedData.phoneNumber 
-        });
-        return res.status(400).json({
-          success: false,
-          error: `User with phone number ${validatedData.phoneNumber} not found`
-        });
-      }
-
-      // Step 3: Authorization check - ensure LM is assigned to this user
-      if (user.assignedLmId !== validatedData.lmId) {
-        logger.warn('ConversationController', 'Unauthorized LM send attempt', {
-          phoneNumber: validatedData.phoneNumber,
-          requestedLmId: validatedData.lmId,
-          assignedLmId: user.assignedLmId
-        });
-        return res.status(403).json({
-          success: false,
-          error: `LM ${validatedData.lmId} is not assigned to this user. Assigned LM: ${user.assignedLmId || 'None'}`
-        });
+      // Step 2: User, LM assignment, HUMAN mode and customer service window
+      const check = await ConversationController.checkLmCanSend(validatedData.phoneNumber, validatedData.lmId);
+      if (!check.user) {
+        return res.status(check.status).json(check.body);
       }
 
-      // Step 4: Ensure conversation is in HUMAN mode
-      if (user.conversationStatus !== constants.CONVERSATION_STATUS.HUMAN) {
-        logger.warn('ConversationController', 'LM send attempt in non-HUMAN mode', {
-          phoneNumber: validatedData.phoneNumber,
-          currentStatus: user.conversationStatus
-        });
-        return res.status(400).json({
-          success: false,
-          error: `Conversation is in ${user.conversationStatus} mode. LM can only send messages in HUMAN mode.`
-        });
+      // Step 3: Send WhatsApp message (optionally quoting a message of this conversation)
+      const reply = await ConversationController.resolveLmReplyTo(
+        validatedData.phoneNumber,
+        validatedData.replyToMessageId
+      );
+      if (reply.status) {
+        return res.status(reply.status).json(reply.body);
       }
+      const { replyTo } = reply;
 
-      // Step 5: Send WhatsApp message
       let whatsappResponse;
       try {
         whatsappResponse = await whatsappService.sendMessage(
           validatedData.phoneNumber,
-          validatedData.message
+          validatedData.message,
+          'text',
+          validatedData.replyToMessageId,
+          { priority: constants.OUTBOUND_GOVERNOR.PRIORITY.LM }
         );
       } catch (whatsappError) {
         logger.error('ConversationController', `WhatsApp send failed: ${whatsappError.message}`, whatsappError);
+        if (ConversationController.isServiceWindowError(whatsappError)) {
+          return res.status(400).json(ConversationController.buildServiceWindowClosedResponse(check.user));
+        }
         return res.status(503).json({
           success: false,
           error: 'Failed to send WhatsApp message',
@@ -278,27 +266,10 @@ class ConversationController {
         });
       }
 
-      // Step 6: Async AI call (fire-and-forget for performance)
-      // This keeps AI context updated without blocking the response
-      // Format phone number to remove country code (e.g., 91MobileNumber → MobileNumber)
-      const formattedPhoneNumber = aiService.formatPhoneNumber(validatedData.phoneNumber);
-      
-      console.log(`📱 Phone formatting for AI context: ${validatedData.phoneNumber} → ${formattedPhoneNumber}`);
-      
-      aiService.sendMessageToAI(
-        validatedData.message,
-        formattedPhoneNumber,  // Use formatted phone number (consistent with normal conversation flow)
-        constants.CONVERSATION_STATUS.HUMAN,
-        constants.MESSAGE_DIRECTION.OUTBOUND_LM  // LM message direction
-      ).catch(aiError => {
-        logger.warn('ConversationController', 'Async AI context update failed (non-critical)', {
-          phoneNumber: validatedData.phoneNumber,
-          error: aiError.message 
-        });
-        // Don't fail the request - AI context update is best-effort
-      });
+      // Step 4: Keep the AI context updated (best-effort, does not block the response)
+      ConversationController.updateAiContext(validatedData.phoneNumber, validatedData.message, { replyTo });
 
-      // Step 7: Save to database with idempotency check
+      // Step 5: Save to database with idempotency check
       // Extract and validate WhatsApp message ID
       const whatsappMessageId = whatsappResponse?.messages?.[0]?.id;
       
@@ -329,7 +300,8 @@ class ConversationController {
           {
             whatsappMessageId: whatsappMessageId,
             textContent: validatedData.message,
-            timestamp: new Date()
+            timestamp: new Date(),
+            replyTo
           },
           validatedData.clientMessageId,
           validatedData.lmId,
@@ -374,7 +346,7 @@ class ConversationController {
         processingTimeMs: totalTime
       });
 
-      // Step 8: Return success response
+      // Step 6: Return success response
       return res.status(200).json({
         success: true,
         message: 'LM message sent successfully',
@@ -397,6 +369,548 @@ class ConversationController {
       });
     }
   }
+
+  /**
+   * Error body for free-form sends outside the 24-hour customer service window
+   */
+  static buildServiceWindowClosedResponse(user) {
+    return {
+      success: false,
+      code: constants.ERROR_CODES.WHATSAPP_OUTSIDE_SERVICE_WINDOW,
+      error: 'The 24-hour customer service window is closed. Send a template message to re-engage the user.',
+      serviceWindowExpiresAt: user?.getServiceWindowExpiresAt ? user.getServiceWindowExpiresAt() : null
+    };
+  }
+
+  /**
+   * Check whether a Graph API error means the customer service window is closed
+   * (errors are classified by graphApiClient)
+   */
+  static isServiceWindowError(error) {
+    return error?.code === constants.ERROR_CODES.WHATSAPP_OUTSIDE_SERVICE_WINDOW;
+  }
+
+  /**
+   * Check that an LM may send to a user: the user exists, the LM is assigned and the conversation is in HUMAN mode
+   * Free-form sends (requireServiceWindow) also need an open customer service window
+   * @returns {Promise<Object>} - { user } when allowed, otherwise { status, body }
+   */
+  static async checkLmCanSend(phoneNumber, lmId, options = { requireServiceWindow: true }) {
+    const user = await userService.findUserByWhatsappId(phoneNumber);
+    if (!user) {
+      return { status: 400, body: { success: false, error: `User with phone number ${phoneNumber} not found` } };
+    }
+
+    if (user.assignedLmId !== lmId) {
+      logger.warn('ConversationController', 'Unauthorized LM send attempt', {
+        phoneNumber,
+        requestedLmId: lmId,
+        assignedLmId: user.assignedLmId
+      });
+      return {
+        status: 403,
+        body: {
+          success: false,
+          error: `LM ${lmId} is not assigned to this user. Assigned LM: ${user.assignedLmId || 'None'}`
+        }
+      };
+    }
+
+    if (user.conversationStatus !== constants.CONVERSATION_STATUS.HUMAN) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: `Conversation is in ${user.conversationStatus} mode. LM can only send messages in HUMAN mode.`
+        }
+      };
+    }
+
+    if (options.requireServiceWindow && !user.isServiceWindowOpen()) {
+      return { status: 400, body: ConversationController.buildServiceWindowClosedResponse(user) };
+    }
+
+    return { user };
+  }
+
+  /**
+   * Forward an LM message to the AI so its context stays complete (fire-and-forget:
+   * a failure is logged and never fails the LM request)
+   * @param {string} phoneNumber - User's WhatsApp ID
+   * @param {string} text - Text content of the LM message
+   * @param {Object} options - Passed to aiService.sendMessageToAI (e.g. { replyTo })
+   */
+  static updateAiContext(phoneNumber, text, options = {}) {
+    aiService.sendMessageToAI(
+      text,
+      aiService.formatPhoneNumber(phoneNumber),
+      constants.CONVERSATION_STATUS.HUMAN,
+      constants.MESSAGE_DIRECTION.OUTBOUND_LM,
+      options
+    ).then(aiResult => {
+      if (!aiResult.ok) {
+        logger.warn('ConversationController', 'Async AI context update failed (non-critical)', {
+          phoneNumber,
+          errorType: aiResult.errorType,
+          attempts: aiResult.attempts
+        });
+      }
+    }).catch(aiError => {
+      logger.warn('ConversationController', 'Async AI context update failed (non-critical)', {
+        phoneNumber,
+        error: aiError.message
+      });
+    });
+  }
+
+  /**
+   * Resolve the message an LM send quotes; it must belong to the recipient's conversation
+   * @returns {Promise<Object>} - { replyTo } (null when nothing is quoted), otherwise { status, body }
+   */
+  static async resolveLmReplyTo(phoneNumber, replyToMessageId) {
+    if (!replyToMessageId) {
+      return { replyTo: null };
+    }
+
+    const replyTo = await databaseService.conversationService.resolveReplyTo(
+      replyToMessageId,
+      phoneNumber,
+      { required: true }
+    );
+    if (!replyTo) {
+      logger.warn('ConversationController', 'LM reply to a message outside the conversation', {
+        phoneNumber,
+        replyToMessageId
+      });
+      return {
+        status: 404,
+        body: { success: false, error: `Message ${replyToMessageId} not found in conversation ${phoneNumber}` }
+      };
+    }
+
+    return { replyTo };
+  }
+
+  /**
+   * LM sends an image, document, audio or video to user
+   * POST /api/conversation/lm/send-media
+   * Body: { phoneNumber, lmId, lmName?, clientMessageId, mediaType, mediaUrl | mediaData (base64) + mimeType, filename?, caption?, replyToMessageId? }
+   */
+  static async sendLmMedia(req, res) {
+    const startTime = Date.now();
+
+    try {
+      logger.api('POST', '/api/conversation/lm/send-media', {
+        phoneNumber: req.body.phoneNumber,
+        lmId: req.body.lmId,
+        clientMessageId: req.body.clientMessageId,
+        mediaType: req.body.mediaType,
+        hasMediaUrl: !!req.body.mediaUrl,
+        hasMediaData: !!req.body.mediaData
+      });
+
+      // Step 1: Validate request body
+      let validatedData;
+      try {
+        validatedData = validator.validateLmMediaMessage(req.body);
+      } catch (validationError) {
+        logger.warn('ConversationController', `LM media validation failed: ${validationError.message}`);
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+
+      // Step 2: User, LM assignment, HUMAN mode and customer service window
+      const check = await ConversationController.checkLmCanSend(validatedData.phoneNumber, validatedData.lmId);
+      if (!check.user) {
+        return res.status(check.status).json(check.body);
+      }
+
+      // Step 3: Idempotency before the (expensive) upload - a retried request must not resend the file
+      const existingMessage = await databaseService.conversationService.checkMessageIdempotency(
+        validatedData.phoneNumber,
+        validatedData.clientMessageId
+      );
+      if (existingMessage) {
+        return res.status(200).json({
+          success: true,
+          message: 'Duplicate message detected - no action taken',
+          data: {
+            isDuplicate: true,
+            existingMessageId: existingMessage.whatsappMessageId,
+            processingTimeMs: Date.now() - startTime
+          }
+        });
+      }
+
+      // Step 4: Store under the LM folder and send
+      const reply = await ConversationController.resolveLmReplyTo(
+        validatedData.phoneNumber,
+        validatedData.replyToMessageId
+      );
+      if (reply.status) {
+        return res.status(reply.status).json(reply.body);
+      }
+      const { replyTo } = reply;
+
+      let sendResult;
+      try {
+        sendResult = await outboundMediaService.sendMedia({
+          to: validatedData.phoneNumber,
+          direction: constants.MESSAGE_DIRECTION.OUTBOUND_LM,
+          mediaType: validatedData.mediaType,
+          messageId: validatedData.clientMessageId,
+          buffer: validatedData.mediaBuffer,
+          url: validatedData.mediaUrl,
+          mimeType: validatedData.mimeType,
+          filename: validatedData.filename,
+          caption: validatedData.caption,
+          contextMessageId: validatedData.replyToMessageId,
+          priority: constants.OUTBOUND_GOVERNOR.PRIORITY.LM
+        });
+      } catch (sendError) {
+        logger.error('ConversationController', `WhatsApp media send failed: ${sendError.message}`, sendError);
+        if (ConversationController.isServiceWindowError(sendError)) {
+          return res.status(400).json(ConversationController.buildServiceWindowClosedResponse(check.user));
+        }
+        if (sendError.code === constants.ERROR_CODES.MEDIA_URL_NOT_ALLOWED) {
+          return res.status(400).json({
+            success: false,
+            error: 'Media URL not allowed',
+            details: sendError.message,
+            retryable: false
+          });
+        }
+        return res.status(503).json({
+          success: false,
+          error: 'Failed to send WhatsApp media message',
+          details: sendError.message,
+          retryable: true
+        });
+      }
+
+      if (!sendResult.whatsappMessageId) {
+        return res.status(500).json({
+          success: false,
+          error: 'WhatsApp message sent but no message ID received',
+          details: 'Unable to track message in database'
+        });
+      }
+
+      // Step 5: Keep the AI context updated (best-effort)
+      ConversationController.updateAiContext(validatedData.phoneNumber, sendResult.textContent, { replyTo });
+
+      // Step 6: Save to database
+      let dbResult;
+      try {
+        dbResult = await databaseService.processOutgoingLmMessage(
+          validatedData.phoneNumber,
+          {
+            whatsappMessageId: sendResult.whatsappMessageId,
+            textContent: sendResult.textContent,
+            timestamp: new Date(),
+            mediaData: sendResult.mediaData,
+            replyTo
+          },
+          validatedData.clientMessageId,
+          validatedData.lmId,
+          validatedData.lmName
+        );
+      } catch (dbError) {
+        logger.error('ConversationController', `Database save failed: ${dbError.message}`, dbError);
+        return res.status(500).json({
+          success: false,
+          error: 'Message sent but failed to save to database',
+          details: dbError.message,
+          whatsappMessageId: sendResult.whatsappMessageId
+        });
+      }
+
+      const totalTime = Date.now() - startTime;
+
+      logger.success('ConversationController', 'LM media message sent successfully', {
+        phoneNumber: validatedData.phoneNumber,
+        lmId: validatedData.lmId,
+        mediaType: validatedData.mediaType,
+        whatsappMessageId: sendResult.whatsappMessageId,
+        clientMessageId: validatedData.clientMessageId,
+        processingTimeMs: totalTime
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'LM media message sent successfully',
+        data: {
+          whatsappMessageId: sendResult.whatsappMessageId,
+          clientMessageId: validatedData.clientMessageId,
+          mediaUrl: sendResult.mediaData.url,
+          storagePath: sendResult.mediaData.storagePath,
+          timestamp: new Date().toISOString(),
+          processingTimeMs: totalTime,
+          isDuplicate: !!dbResult.isDuplicate
+        }
+      });
+
+    } catch (error) {
+      logger.error('ConversationController', `Send LM media failed: ${error.message}`, error);
+
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to send LM media message',
+        processingTimeMs: Date.now() - startTime
+      });
+    }
+  }
+
+  /**
+   * LM sends an approved template message (works outside the 24-hour customer service window)
+   * POST /api/conversation/lm/send-template
+   * Body: { phoneNumber, lmId, lmName?, clientMessageId, templateName, languageCode?, bodyParameters?, header?, buttons? }
+   */
+  static async sendLmTemplate(req, res) {
+    const startTime = Date.now();
+
+    try {
+      logger.api('POST', '/api/conversation/lm/send-template', {
+        phoneNumber: req.body.phoneNumber,
+        lmId: req.body.lmId,
+        clientMessageId: req.body.clientMessageId,
+        templateName: req.body.templateName,
+        languageCode: req.body.languageCode
+      });
+
+      // Step 1: Validate request body
+      let validatedData;
+      try {
+        validatedData = validator.validateLmTemplateMessage(req.body);
+      } catch (validationError) {
+        logger.warn('ConversationController', `LM template validation failed: ${validationError.message}`);
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+
+      // Step 2: User, LM assignment and HUMAN mode (templates are allowed outside the window)
+      const check = await ConversationController.checkLmCanSend(
+        validatedData.phoneNumber,
+        validatedData.lmId,
+        { requireServiceWindow: false }
+      );
+      if (!check.user) {
+        return res.status(check.status).json(check.body);
+      }
+
+      // Step 3: Idempotency - a retried request must not send the template twice
+      const existingMessage = await databaseService.conversationService.checkMessageIdempotency(
+        validatedData.phoneNumber,
+        validatedData.clientMessageId
+      );
+      if (existingMessage) {
+        return res.status(200).json({
+          success: true,
+          message: 'Duplicate message detected - no action taken',
+          data: {
+            isDuplicate: true,
+            existingMessageId: existingMessage.whatsappMessageId,
+            processingTimeMs: Date.now() - startTime
+          }
+        });
+      }
+
+      // Step 4: Send the template
+      let sendResult;
+      try {
+        sendResult = await templateMessageService.sendTemplate({
+          to: validatedData.phoneNumber,
+          templateName: validatedData.templateName,
+          languageCode: validatedData.languageCode,
+          bodyParameters: validatedData.bodyParameters,
+          header: validatedData.header,
+          buttons: validatedData.buttons,
+          priority: constants.OUTBOUND_GOVERNOR.PRIORITY.LM
+        });
+      } catch (sendError) {
+        logger.error('ConversationController', `WhatsApp template send failed: ${sendError.message}`, sendError);
+        const graphError = sendError.response?.data?.error;
+        return res.status(graphError ? 400 : 503).json({
+          success: false,
+          error: 'Failed to send WhatsApp template message',
+          details: graphError?.message || sendError.message,
+          graphErrorCode: graphError?.code || null,
+          retryable: !graphError
+        });
+      }
+
+      if (!sendResult.whatsappMessageId) {
+        return res.status(500).json({
+          success: false,
+          error: 'WhatsApp message sent but no message ID received',
+          details: 'Unable to track message in database'
+        });
+      }
+
+      // Step 5: Keep the AI context updated (best-effort)
+      ConversationController.updateAiContext(validatedData.phoneNumber, sendResult.textContent);
+
+      // Step 6: Save to the conversation history like any other LM message
+      let dbResult;
+      try {
+        dbResult = await databaseService.processOutgoingLmMessage(
+          validatedData.phoneNumber,
+          {
+            whatsappMessageId: sendResult.whatsappMessageId,
+            textContent: sendResult.textContent,
+            timestamp: new Date(),
+            template: sendResult.template
+          },
+          validatedData.clientMessageId,
+          validatedData.lmId,
+          validatedData.lmName
+        );
+      } catch (dbError) {
+        logger.error('ConversationController', `Database save failed: ${dbError.message}`, dbError);
+        return res.status(500).json({
+          success: false,
+          error: 'Message sent but failed to save to database',
+          details: dbError.message,
+          whatsappMessageId: sendResult.whatsappMessageId
+        });
+      }
+
+      const totalTime = Date.now() - startTime;
+
+      logger.success('ConversationController', 'LM template message sent successfully', {
+        phoneNumber: validatedData.phoneNumber,
+        lmId: validatedData.lmId,
+        templateName: validatedData.templateName,
+        whatsappMessageId: sendResult.whatsappMessageId,
+        clientMessageId: validatedData.clientMessageId,
+        processingTimeMs: totalTime
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'LM template message sent successfully',
+        data: {
+          whatsappMessageId: sendResult.whatsappMessageId,
+          clientMessageId: validatedData.clientMessageId,
+          templateName: validatedData.templateName,
+          languageCode: validatedData.languageCode,
+          timestamp: new Date().toISOString(),
+          processingTimeMs: totalTime,
+          isDuplicate: !!dbResult.isDuplicate
+        }
+      });
+
+    } catch (error) {
+      logger.error('ConversationController', `Send LM template failed: ${error.message}`, error);
+
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to send LM template message',
+        processingTimeMs: Date.now() - startTime
+      });
+    }
+  }
+
+  /**
+   * LM reacts to a message with an emoji (empty emoji removes the reaction)
+   * POST /api/conversation/lm/react
+   * Body: { phoneNumber, lmId, messageId, emoji }
+   */
+  static async sendLmReaction(req, res) {
+    const startTime = Date.now();
+
+    try {
+      logger.api('POST', '/api/conversation/lm/react', {
+        phoneNumber: req.body.phoneNumber,
+        lmId: req.body.lmId,
+        messageId: req.body.messageId
+      });
+
+      // Step 1: Validate request body
+      let validatedData;
+      try {
+        validatedData = validator.validateLmReaction(req.body);
+      } catch (validationError) {
+        logger.warn('ConversationController', `LM reaction validation failed: ${validationError.message}`);
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+
+      // Step 2: User, LM assignment, HUMAN mode and service window
+      const check = await ConversationController.checkLmCanSend(validatedData.phoneNumber, validatedData.lmId);
+      if (!check.user) {
+        return res.status(check.status).json(check.body);
+      }
+
+      // Step 3: Send the reaction and record it on the target message
+      let result;
+      try {
+        result = await ReactionService.sendReaction({
+          to: validatedData.phoneNumber,
+          messageId: validatedData.messageId,
+          emoji: validatedData.emoji,
+          reactedBy: validatedData.lmId,
+          priority: constants.OUTBOUND_GOVERNOR.PRIORITY.LM
+        });
+      } catch (sendError) {
+        if (sendError.code === constants.ERROR_CODES.RESOURCE_NOT_FOUND) {
+          return res.status(404).json({
+            success: false,
+            error: sendError.message
+          });
+        }
+
+        logger.error('ConversationController', `WhatsApp reaction send failed: ${sendError.message}`, sendError);
+        if (ConversationController.isServiceWindowError(sendError)) {
+          return res.status(400).json(ConversationController.buildServiceWindowClosedResponse(check.user));
+        }
+        return res.status(503).json({
+          success: false,
+          error: 'Failed to send WhatsApp reaction',
+          details: sendError.message,
+          retryable: true
+        });
+      }
+
+      const totalTime = Date.now() - startTime;
+
+      logger.success('ConversationController', validatedData.emoji ? 'LM reaction sent' : 'LM reaction removed', {
+        phoneNumber: validatedData.phoneNumber,
+        lmId: validatedData.lmId,
+        messageId: validatedData.messageId,
+        emoji: validatedData.emoji,
+        processingTimeMs: totalTime
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: validatedData.emoji ? 'Reaction sent successfully' : 'Reaction removed successfully',
+        data: {
+          whatsappMessageId: result.whatsappMessageId,
+          messageId: validatedData.messageId,
+          reaction: result.reaction,
+          recorded: result.recorded,
+          timestamp: new Date().toISOString(),
+          processingTimeMs: totalTime
+        }
+      });
+
+    } catch (error) {
+      logger.error('ConversationController', `Send LM reaction failed: ${error.message}`, error);
+
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to send LM reaction',
+        processingTimeMs: Date.now() - startTime
+      });
+    }
+  }
 }
 
 module.exports = ConversationController;
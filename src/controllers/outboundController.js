@@ -0,0 +1,55 @@
+/**
+ * Outbound Controller
+ * Monitoring endpoints for the outbound send queue
+ */
+
+const outboundGovernorService = require('../services/outboundGovernorService');
+const channelRegistry = require('../utils/channelRegistry');
+const logger = require('../utils/logger');
+
+class OutboundController {
+
+  /**
+   * Queue depth, wait times and limits per business phone number
+   * GET /api/outbound/stats
+   */
+  static async getStats(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: outboundGovernorService.getStats()
+      });
+
+    } catch (error) {
+      logger.error('OutboundController', `Failed to get outbound stats: ${error.message}`, error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Business phone numbers served by this deployment (credentials omitted)
+   * GET /api/outbound/channels
+   */
+  static async getChannels(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: channelRegistry.list()
+      });
+
+    } catch (error) {
+      logger.error('OutboundController', `Failed to list channels: ${error.message}`, error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = OutboundController;
@@ -0,0 +1,206 @@
+/**
+ * Simulator Controller (development only)
+ * Drives the webhook pipeline with simulated inbound messages and exposes the outbox
+ */
+
+const WebhookController = require('./webhookController');
+const whatsappSimulatorService = require('../services/whatsappSimulatorService');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+class SimulatorController {
+
+  /**
+   * Feed a webhook body through WebhookController.receiveMessage
+   * @param {Object} body - Webhook body
+   * @returns {Promise<{status: number, body: string}>} - What the controller answered
+   */
+  static dispatchWebhook(body) {
+    return new Promise((resolve) => {
+      const res = {
+        statusCode: constants.HTTP_STATUS.OK,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        send(responseBody) {
+          resolve({ status: this.statusCode, body: responseBody });
+          return this;
+        }
+      };
+
+      WebhookController.receiveMessage({ body }, res);
+    });
+  }
+
+  /**
+   * Simulate an inbound user message
+   * POST /dev/simulator/messages
+   * @body { from, name?, type?, text?, caption?, media?: { data, mimeType, filename }, latitude?, longitude?, replyTo? }
+   */
+  static async sendMessage(req, res) {
+    let webhookBody;
+    try {
+      webhookBody = whatsappSimulatorService.buildWebhookBody(req.body);
+    } catch (error) {
+      return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    try {
+      const result = await SimulatorController.dispatchWebhook(webhookBody);
+      const message = webhookBody.entry[0].changes[0].value.messages[0];
+
+      logger.info('SimulatorController', 'Simulated inbound message', {
+        from: message.from,
+        type: message.type,
+        messageId: message.id
+      });
+
+      res.status(constants.HTTP_STATUS.OK).json({
+        success: result.status === constants.HTTP_STATUS.OK,
+        data: {
+          messageId: message.id,
+          webhookStatus: result.status,
+          webhook: webhookBody
+        }
+      });
+
+    } catch (error) {
+      logger.error('SimulatorController', `Simulated message failed: ${error.message}`, error);
+      res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Inspect captured outbound Graph API calls
+   * GET /dev/simulator/outbox?to=&type=&limit=
+   */
+  static getOutbox(req, res) {
+    const entries = whatsappSimulatorService.getOutbox({
+      to: req.query.to,
+      type: req.query.type,
+      limit: parseInt(req.query.limit) || null
+    });
+
+    res.status(constants.HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        count: entries.length,
+        entries
+      }
+    });
+  }
+
+  /**
+   * Empty the outbox
+   * DELETE /dev/simulator/outbox
+   */
+  static clearOutbox(req, res) {
+    const cleared = whatsappSimulatorService.clearOutbox();
+
+    res.status(constants.HTTP_STATUS.OK).json({
+      success: true,
+      data: { cleared }
+    });
+  }
+
+  /**
+   * List stored webhook fixtures
+   * GET /dev/simulator/fixtures
+   */
+  static async listFixtures(req, res) {
+    try {
+      const fixtures = await whatsappSimulatorService.listFixtures();
+
+      res.status(constants.HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          directory: whatsappSimulatorService.getFixturesDir(),
+          fixtures
+        }
+      });
+
+    } catch (error) {
+      res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Replay a stored webhook fixture
+   * POST /dev/simulator/fixtures/:name/replay?keepIds=true
+   */
+  static async replayFixture(req, res) {
+    let webhookBody;
+    try {
+      webhookBody = await whatsappSimulatorService.loadFixture(req.params.name);
+    } catch (error) {
+      const status = error.code === constants.ERROR_CODES.RESOURCE_NOT_FOUND ?
+        constants.HTTP_STATUS.NOT_FOUND : constants.HTTP_STATUS.BAD_REQUEST;
+      return res.status(status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return SimulatorController.replay(webhookBody, req.query.keepIds === 'true', res);
+  }
+
+  /**
+   * Replay a raw webhook body posted inline
+   * POST /dev/simulator/replay?keepIds=true
+   */
+  static async replayRaw(req, res) {
+    let webhookBody;
+    try {
+      webhookBody = whatsappSimulatorService.normalizeWebhookBody(req.body);
+    } catch (error) {
+      return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return SimulatorController.replay(webhookBody, req.query.keepIds === 'true', res);
+  }
+
+  /**
+   * Dispatch a replayed body (message IDs are refreshed unless keepIds is set)
+   */
+  static async replay(webhookBody, keepIds, res) {
+    try {
+      const body = keepIds ? webhookBody : whatsappSimulatorService.refreshMessageIds(webhookBody);
+      const result = await SimulatorController.dispatchWebhook(body);
+
+      logger.info('SimulatorController', 'Replayed webhook', {
+        entries: body.entry?.length || 0,
+        keepIds
+      });
+
+      res.status(constants.HTTP_STATUS.OK).json({
+        success: result.status === constants.HTTP_STATUS.OK,
+        data: {
+          webhookStatus: result.status,
+          webhook: body
+        }
+      });
+
+    } catch (error) {
+      logger.error('SimulatorController', `Webhook replay failed: ${error.message}`, error);
+      res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = SimulatorController;
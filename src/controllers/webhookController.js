@@ -1,4 +1,4 @@
-const messageProcessor = require('../services/messageProcessor');
+const webhookQueueService = require('../services/webhookQueueService');
 
 class WebhookController {
     
@@ -26,6 +26,8 @@ class WebhookController {
     }
     
     // Receive messages (POST request from Meta)
+    // Each change is persisted to the webhook job queue and acknowledged immediately;
+    // webhookQueueService runs the actual processing in the background
     static async receiveMessage(req, res) {
         // console.log('� === WEBHOOK RECEIVED ===');
         // console.log('📅 Timestamp:', new Date().toISOString());
@@ -70,11 +72,11 @@ class WebhookController {
                                 const change = entry.changes[j];
                                 console.log(`🔄 Processing change ${j + 1}:`, JSON.stringify(change, null, 2));
                                 
-                                // Process messages
-                                if (change.field === 'messages') {
-                                    console.log('💬 Message field detected, calling messageProcessor...');
-                                    await messageProcessor.processIncomingMessage(change.value);
-                                    console.log('✅ messageProcessor completed');
+                                // Queue messages for background processing
+                                if (webhookQueueService.canHandle(change.field)) {
+                                    console.log(`💬 ${change.field} field detected, queueing webhook job...`);
+                                    const job = await webhookQueueService.enqueue(change.field, change.value);
+                                    console.log(`✅ Webhook job queued: ${job._id}`);
                                 } else {
                                     console.log(`ℹ️ Non-message field detected: ${change.field}`);
                                 }
@@ -96,6 +98,7 @@ class WebhookController {
             console.log('🚨 === WEBHOOK PROCESSING COMPLETE ===\n');
             
         } catch (error) {
+            // Jobs could not be persisted - a 500 makes Meta redeliver the webhook
             console.error('❌ === WEBHOOK ERROR ===');
             console.error('Error processing webhook:', error);
             console.error('Error stack:', error.stack);
@@ -0,0 +1,38 @@
+/**
+ * Channel Context Middleware
+ * Runs LM API requests as one business phone number (see utils/channelRegistry)
+ * The channel is named by `channelId` in the body or query string, or the X-Channel-Id header;
+ * requests that name none use the default channel
+ */
+
+const channelRegistry = require('../utils/channelRegistry');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+class ChannelContext {
+
+  /**
+   * Express middleware - resolve the channel and run the rest of the request inside it
+   */
+  static resolve(req, res, next) {
+    const channelId = req.body?.channelId || req.query?.channelId || req.headers[constants.CHANNELS.HEADER];
+    const channel = channelRegistry.getChannel(channelId);
+
+    if (!channel) {
+      logger.warn('ChannelContext', 'Request for an unknown channel rejected', {
+        channelId,
+        requestId: req.requestId
+      });
+      return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        error: `Unknown channel: ${channelId}`,
+        code: constants.ERROR_CODES.INVALID_INPUT
+      });
+    }
+
+    req.channel = channel;
+    channelRegistry.run(channel, next);
+  }
+}
+
+module.exports = ChannelContext;
@@ -0,0 +1,123 @@
+/**
+ * Webhook Signature Middleware
+ * Verifies Meta's X-Hub-Signature-256 header on incoming webhook POSTs
+ * Supports a current and a previous app secret so secrets can be rotated without downtime
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+class WebhookSignature {
+
+  /**
+   * Capture the raw request body for signature verification
+   * Passed as the `verify` option of bodyParser.json()
+   */
+  static captureRawBody(req, res, buf) {
+    if (buf && buf.length) {
+      req.rawBody = buf;
+    }
+  }
+
+  /**
+   * Get configured app secrets (current first, then previous)
+   * @returns {Array<string>} - Non-empty secrets
+   */
+  static getSecrets() {
+    return [
+      process.env.WHATSAPP_APP_SECRET,
+      process.env.WHATSAPP_APP_SECRET_PREVIOUS
+    ].filter(secret => secret && secret.trim());
+  }
+
+  /**
+   * Check whether signature verification is bypassed (never honoured in production)
+   */
+  static isBypassEnabled() {
+    const nodeEnv = process.env.NODE_ENV || 'development';
+    return process.env.WEBHOOK_SIGNATURE_BYPASS === 'true' && nodeEnv !== 'production';
+  }
+
+  /**
+   * Compute the expected signature header value for a payload
+   * @param {Buffer|string} payload - Raw request body
+   * @param {string} secret - App secret
+   * @returns {string} - "sha256=<hex digest>"
+   */
+  static computeSignature(payload, secret) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(payload)
+      .digest('hex');
+
+    return `${constants.WEBHOOK_SECURITY.SIGNATURE_PREFIX}${digest}`;
+  }
+
+  /**
+   * Compare a received signature against all configured secrets in constant time
+   * @param {Buffer|string} payload - Raw request body
+   * @param {string} signature - Value of the X-Hub-Signature-256 header
+   * @param {Array<string>} secrets - Secrets to try
+   * @returns {{isValid: boolean, secretIndex: number}}
+   */
+  static verifySignature(payload, signature, secrets = WebhookSignature.getSecrets()) {
+    if (!payload || !signature || typeof signature !== 'string') {
+      return { isValid: false, secretIndex: -1 };
+    }
+
+    const received = Buffer.from(signature.trim());
+
+    for (let i = 0; i < secrets.length; i++) {
+      const expected = Buffer.from(WebhookSignature.computeSignature(payload, secrets[i]));
+
+      if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+        return { isValid: true, secretIndex: i };
+      }
+    }
+
+    return { isValid: false, secretIndex: -1 };
+  }
+
+  /**
+   * Express middleware - reject webhook POSTs without a valid signature
+   */
+  static verify(req, res, next) {
+    if (WebhookSignature.isBypassEnabled()) {
+      logger.warn('WebhookSignature', 'Signature verification bypassed (WEBHOOK_SIGNATURE_BYPASS=true)');
+      return next();
+    }
+
+    const secrets = WebhookSignature.getSecrets();
+    if (secrets.length === 0) {
+      logger.error('WebhookSignature', 'No app secret configured - rejecting webhook', {
+        code: constants.ERROR_CODES.WHATSAPP_WEBHOOK_ERROR
+      });
+      return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).send('Webhook secret not configured');
+    }
+
+    const signature = req.headers[constants.WEBHOOK_SECURITY.SIGNATURE_HEADER];
+    const result = WebhookSignature.verifySignature(req.rawBody, signature, secrets);
+
+    if (!result.isValid) {
+      logger.warn('WebhookSignature', 'Invalid webhook signature - request rejected', {
+        code: constants.ERROR_CODES.WHATSAPP_INVALID_SIGNATURE,
+        requestId: req.requestId,
+        ip: req.ip,
+        hasSignature: !!signature,
+        hasRawBody: !!req.rawBody
+      });
+      return res.status(constants.HTTP_STATUS.UNAUTHORIZED).send('Invalid signature');
+    }
+
+    if (result.secretIndex > 0) {
+      logger.warn('WebhookSignature', 'Webhook signed with previous app secret - complete secret rotation', {
+        requestId: req.requestId
+      });
+    }
+
+    next();
+  }
+}
+
+module.exports = WebhookSignature;
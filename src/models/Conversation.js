@@ -30,6 +30,11 @@ const mediaDataSchema = new mongoose.Schema({
     type: Number,
     min: 0,
     max: constants.FIREBASE.MAX_FILE_SIZE
+  },
+  // Type-specific details, e.g. the transcript of a voice note
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
   }
 }, { _id: false });
 
@@ -45,6 +50,148 @@ const aiAuditSchema = new mongoose.Schema({
     required: true,
     min: 0,
     max: 60000 // Max 60 seconds processing time
+  },
+  // Set when the text is our fallback, not an answer from the AI
+  isFallback: {
+    type: Boolean,
+    default: undefined
+  },
+  errorType: {
+    type: String,
+    enum: Object.values(constants.AI_SERVICE.ERROR_TYPES),
+    default: undefined
+  },
+  attempts: {
+    type: Number,
+    min: 0,
+    default: undefined
+  }
+}, { _id: false });
+
+// Interactive Reply Schema (only for inbound button/list replies)
+const interactiveReplySchema = new mongoose.Schema({
+  replyType: {
+    type: String,
+    enum: Object.values(constants.INTERACTIVE_REPLY_TYPES),
+    required: true
+  },
+  id: {
+    type: String,
+    trim: true,
+    maxlength: 256
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 256
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 256
+  }
+}, { _id: false });
+
+// Reply-To Schema (message quoted via WhatsApp `context.id`)
+const replyToSchema = new mongoose.Schema({
+  whatsappMessageId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  direction: {
+    type: String,
+    enum: Object.values(constants.MESSAGE_DIRECTION)
+  },
+  textContent: {
+    type: String,
+    trim: true,
+    maxlength: constants.WHATSAPP_LIMITS.MESSAGE_LENGTH
+  },
+  timestamp: {
+    type: Date
+  }
+}, { _id: false });
+
+// Template Schema (only for outbound template messages)
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  language: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Named ({ key: value }) or positional ([value]) body parameters as sent
+  bodyParameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  header: {
+    type: {
+      type: String,
+      enum: constants.TEMPLATE_MESSAGES.HEADER_TYPES
+    },
+    text: {
+      type: String,
+      trim: true
+    },
+    link: {
+      type: String,
+      trim: true
+    }
+  }
+}, { _id: false });
+
+// Message Group Schema (parts of one AI reply split to fit the WhatsApp length limit)
+const messageGroupSchema = new mongoose.Schema({
+  groupId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  partIndex: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  partCount: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// Delivery Status Schema (only for outbound messages)
+const deliveryStatusSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(constants.DELIVERY_STATUS),
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  error: {
+    code: {
+      type: Number
+    },
+    title: {
+      type: String,
+      trim: true
+    },
+    message: {
+      type: String,
+      trim: true
+    },
+    details: {
+      type: String,
+      trim: true
+    }
   }
 }, { _id: false });
 
@@ -110,6 +257,26 @@ const messageSchema = new mongoose.Schema({
     default: undefined
   },
   
+  interactiveReply: {
+    type: interactiveReplySchema,
+    default: undefined
+  },
+  
+  replyTo: {
+    type: replyToSchema,
+    default: undefined
+  },
+  
+  template: {
+    type: templateSchema,
+    default: undefined
+  },
+  
+  messageGroup: {
+    type: messageGroupSchema,
+    default: undefined
+  },
+  
   reaction: {
     emoji: {
       type: String,
@@ -122,6 +289,17 @@ const messageSchema = new mongoose.Schema({
       type: String,
       trim: true
     }
+  },
+  
+  deliveryStatus: {
+    type: String,
+    enum: Object.values(constants.DELIVERY_STATUS),
+    default: undefined
+  },
+  
+  statusHistory: {
+    type: [deliveryStatusSchema],
+    default: undefined
   }
 }, { _id: false });
 
@@ -136,6 +314,14 @@ const conversationSchema = new mongoose.Schema({
     maxlength: constants.VALIDATION.WHATSAPP_ID.MAX_LENGTH
   },
   
+  // Business phone number the conversation happens on
+  channelId: {
+    type: String,
+    default: constants.CHANNELS.DEFAULT_ID,
+    index: true,
+    match: constants.CHANNELS.ID_PATTERN
+  },
+  
   messages: {
     type: [messageSchema],
     default: [],
@@ -160,12 +346,14 @@ const conversationSchema = new mongoose.Schema({
 
 // Indexes for performance optimization
 conversationSchema.index({ conversationId: 1, 'messages.timestamp': -1 });
+conversationSchema.index({ conversationId: 1, channelId: 1 });
 conversationSchema.index({ 'messages.whatsappMessageId': 1 });
 conversationSchema.index({ 'messages.clientMessageId': 1 }, { unique: true, sparse: true });
 conversationSchema.index({ 'messages.direction': 1, 'messages.timestamp': -1 });
 conversationSchema.index({ 'messages.reaction.emoji': 1 });
 conversationSchema.index({ 'messages.reaction.timestamp': -1 });
 conversationSchema.index({ 'messages.reaction.reactedBy': 1 });
+conversationSchema.index({ 'messages.deliveryStatus': 1 });
 conversationSchema.index({ createdAt: -1 });
 
 // Pre-save middleware
@@ -185,9 +373,10 @@ conversationSchema.pre('save', function(next) {
 conversationSchema.statics = {
   /**
    * Find conversation by conversation ID
+   * @param {Object} channelFilter - channelRegistry.mongoFilter() to limit to one channel
    */
-  findByConversationId(conversationId) {
-    return this.findOne({ conversationId }).exec();
+  findByConversationId(conversationId, channelFilter = {}) {
+    return this.findOne({ conversationId, ...channelFilter }).exec();
   }
 };
 
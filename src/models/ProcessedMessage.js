@@ -0,0 +1,117 @@
+/**
+ * Processed Message Model
+ * Mongoose schema for whatsappProcessedMessages collection - de-duplication ledger of inbound WhatsApp message IDs
+ */
+
+const mongoose = require('mongoose');
+const constants = require('../utils/constants');
+
+const LEDGER = constants.MESSAGE_LEDGER;
+
+// Main Processed Message Schema
+const processedMessageSchema = new mongoose.Schema({
+  whatsappMessageId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  whatsappId: {
+    type: String,
+    trim: true,
+    index: true
+  },
+
+  messageType: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(LEDGER.STATUS),
+    default: LEDGER.STATUS.PROCESSING
+  },
+
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,  // Adds createdAt and updatedAt automatically
+  collection: constants.DATABASE.COLLECTIONS.PROCESSED_MESSAGES
+});
+
+// Ledger entries expire once Meta can no longer redeliver the message
+processedMessageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LEDGER.TTL_SECONDS }
+);
+
+// Static methods for ledger operations
+processedMessageSchema.statics = {
+  /**
+   * Atomically claim a message ID for processing
+   * Inserts a new entry, or takes over a processing entry whose claim has gone stale.
+   * Any other existing entry makes the upsert collide on the unique index.
+   * @returns {Promise<boolean>} - true if this caller owns the message
+   */
+  async claim(whatsappMessageId, details = {}, claimTimeoutMs = LEDGER.CLAIM_TIMEOUT) {
+    const now = new Date();
+
+    try {
+      await this.findOneAndUpdate(
+        {
+          whatsappMessageId,
+          status: LEDGER.STATUS.PROCESSING,
+          claimedAt: { $lt: new Date(now.getTime() - claimTimeoutMs) }
+        },
+        {
+          $set: {
+            claimedAt: now,
+            whatsappId: details.whatsappId,
+            messageType: details.messageType
+          }
+        },
+        { upsert: true, new: true }
+      ).exec();
+
+      return true;
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a claimed message as fully processed
+   */
+  markCompleted(whatsappMessageId) {
+    return this.updateOne(
+      { whatsappMessageId },
+      { $set: { status: LEDGER.STATUS.COMPLETED, completedAt: new Date() } }
+    ).exec();
+  },
+
+  /**
+   * Drop an unfinished claim so a retry can process the message again
+   */
+  release(whatsappMessageId) {
+    return this.deleteOne({
+      whatsappMessageId,
+      status: LEDGER.STATUS.PROCESSING
+    }).exec();
+  }
+};
+
+// Export the model
+module.exports = mongoose.model('ProcessedMessage', processedMessageSchema);
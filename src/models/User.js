@@ -23,17 +23,70 @@ const metricsSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Escalation Schema (conversation handed to the NOC)
+const escalationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(constants.ESCALATION.STATUS),
+    default: constants.ESCALATION.STATUS.PENDING
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  priority: {
+    type: String,
+    enum: Object.values(constants.ESCALATION.PRIORITY),
+    default: constants.ESCALATION.PRIORITY.NORMAL
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Conversation summary written by the AI when it hands over
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: constants.ESCALATION.SUMMARY_MAX_LENGTH
+  },
+  escalatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: String,
+    trim: true
+  },
+  resolvedAt: Date
+}, { _id: false });
+
 // Main User Schema
 const userSchema = new mongoose.Schema({
   whatsappId: {
     type: String,
     required: true,
-    unique: true,
     index: true,
     minlength: constants.VALIDATION.WHATSAPP_ID.MIN_LENGTH,
     maxlength: constants.VALIDATION.WHATSAPP_ID.MAX_LENGTH,
     match: constants.VALIDATION.WHATSAPP_ID.PATTERN
   },
+  // Business phone number the user talks to (unique together with whatsappId)
+  channelId: {
+    type: String,
+    default: constants.CHANNELS.DEFAULT_ID,
+    index: true,
+    match: constants.CHANNELS.ID_PATTERN
+  },
+  // WhatsApp IDs this user had before changing number (kept as aliases)
+  previousWhatsappIds: {
+    type: [String],
+    default: undefined,
+    index: true
+  },
+
   assignedToLm:{
     type: Boolean,
     default: false
@@ -102,6 +155,34 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Current escalation (status pending = waiting in the NOC queue) and past ones, newest first
+  escalation: {
+    type: escalationSchema,
+    default: undefined
+  },
+
+  escalationHistory: {
+    type: [escalationSchema],
+    default: undefined
+  },
+
+  // Consecutive AI answers that failed (reset by a successful answer or an escalation)
+  aiFailures: {
+    consecutiveCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastErrorType: {
+      type: String,
+      trim: true
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
   isActive: {
     type: Boolean,
     default: true,
@@ -120,6 +201,18 @@ const userSchema = new mongoose.Schema({
     index: true
   },
   
+  // Last inbound message and the end of the 24-hour customer service window it opened
+  lastInboundAt: {
+    type: Date,
+    default: null
+  },
+  
+  serviceWindowExpiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  
   // User message metrics (renamed from inboundMetrics)
   userMetrics: {
     type: metricsSchema,
@@ -156,8 +249,10 @@ const userSchema = new mongoose.Schema({
 });
 
 // Indexes for performance optimization
+userSchema.index({ whatsappId: 1, channelId: 1 }, { unique: true });
 userSchema.index({ conversationStatus: 1, isActive: 1 });
 userSchema.index({ conversationStatus: 1, assignedLmId: 1 });
+userSchema.index({ 'escalation.status': 1, 'escalation.escalatedAt': -1 });
 userSchema.index({ updatedAt: -1 });
 userSchema.index({ 'userMetrics.lastMessageTimestamp': -1 });
 userSchema.index({ 'aiMetrics.lastMessageTimestamp': -1 });
@@ -179,9 +274,17 @@ userSchema.pre('save', function(next) {
 userSchema.statics = {
   /**
    * Find user by WhatsApp ID
+   * @param {Object} channelFilter - channelRegistry.mongoFilter() to limit to one channel
    */
-  findByWhatsappId(whatsappId) {
-    return this.findOne({ whatsappId }).exec();
+  findByWhatsappId(whatsappId, channelFilter = {}) {
+    return this.findOne({ whatsappId, ...channelFilter }).exec();
+  },
+
+  /**
+   * Find user by a WhatsApp ID they used before changing number
+   */
+  findByPreviousWhatsappId(whatsappId, channelFilter = {}) {
+    return this.findOne({ previousWhatsappIds: whatsappId, ...channelFilter }).exec();
   },
 
   /**
@@ -197,8 +300,8 @@ userSchema.statics = {
   /**
    * Find users by conversation status
    */
-  findByStatus(status, limit = 50) {
-    return this.find({ conversationStatus: status, isActive: true })
+  findByStatus(status, limit = 50, channelFilter = {}) {
+    return this.find({ conversationStatus: status, isActive: true, ...channelFilter })
       .sort({ updatedAt: -1 })
       .limit(limit)
       .exec();
@@ -220,15 +323,43 @@ userSchema.statics = {
     ]);
     
     return stats;
+  },
+
+  /**
+   * Bring the indexes of an existing database up to date
+   * Single-number deployments have a unique `whatsappId_1` index; whatsappId is now unique
+   * per channel only, and Mongoose never drops indexes on its own
+   * @returns {Promise<boolean>} - true when the legacy index was dropped
+   */
+  async migrateIndexes() {
+    let indexes = [];
+    try {
+      indexes = await this.collection.indexes();
+    } catch (error) {
+      // Fresh database - the collection does not exist yet
+      if (error.codeName !== 'NamespaceNotFound') {
+        throw error;
+      }
+    }
+
+    const legacyIndex = indexes.find(index => index.name === 'whatsappId_1' && index.unique);
+    if (legacyIndex) {
+      await this.collection.dropIndex(legacyIndex.name);
+    }
+
+    await this.createIndexes();
+    return !!legacyIndex;
   }
 };
 
 // Instance methods
 userSchema.methods = {
   /**
-   * Update user message metrics atomically
+   * Update user message metrics atomically (an inbound message re-opens the customer service window)
    */
-  async updateUserMetrics(lastMessage, increment = 1) {
+  async updateUserMetrics(lastMessage, increment = 1, inboundAt = null) {
+    const inboundDate = inboundAt && !isNaN(new Date(inboundAt).getTime()) ? new Date(inboundAt) : new Date();
+    
     const update = {
       $inc: { 
         'userMetrics.messageCount': increment,
@@ -239,6 +370,11 @@ userSchema.methods = {
         'userMetrics.lastMessageTimestamp': new Date(),
         'lastMessageUpdatedAt': new Date(),
         'updatedAt': new Date()
+      },
+      // A redelivered older message must not move the window back
+      $max: {
+        'lastInboundAt': inboundDate,
+        'serviceWindowExpiresAt': new Date(inboundDate.getTime() + constants.CUSTOMER_SERVICE_WINDOW.DURATION_MS)
       }
     };
 
@@ -294,6 +430,29 @@ userSchema.methods = {
     });
   },
 
+  /**
+   * End of the customer service window (users from before window tracking fall back to userMetrics)
+   */
+  getServiceWindowExpiresAt() {
+    if (this.serviceWindowExpiresAt) {
+      return this.serviceWindowExpiresAt;
+    }
+    
+    if (this.userMetrics?.messageCount > 0 && this.userMetrics.lastMessageTimestamp) {
+      return new Date(this.userMetrics.lastMessageTimestamp.getTime() + constants.CUSTOMER_SERVICE_WINDOW.DURATION_MS);
+    }
+    
+    return null;
+  },
+
+  /**
+   * Check whether free-form (non-template) messages can be sent to the user
+   */
+  isServiceWindowOpen(now = new Date()) {
+    const expiresAt = this.getServiceWindowExpiresAt();
+    return !!expiresAt && expiresAt.getTime() > now.getTime();
+  },
+
   /**
    * Update conversation status atomically
    */
@@ -0,0 +1,96 @@
+/**
+ * User Lock Model
+ * Mongoose schema for whatsappUserLocks collection - lease-based lock per WhatsApp user across server instances
+ */
+
+const mongoose = require('mongoose');
+const constants = require('../utils/constants');
+
+// Main User Lock Schema
+const userLockSchema = new mongoose.Schema({
+  whatsappId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  lockedBy: {
+    type: String,
+    required: true
+  },
+
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,  // Adds createdAt and updatedAt automatically
+  collection: constants.DATABASE.COLLECTIONS.USER_LOCKS
+});
+
+// Released and expired locks are purged automatically
+userLockSchema.index({ lockedUntil: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods for lock operations
+userLockSchema.statics = {
+  /**
+   * Try to take the lock for a user
+   * Succeeds when the lock is free, expired or already ours; otherwise the upsert
+   * collides on the unique index
+   * @returns {Promise<boolean>} - true if the lock is held by owner
+   */
+  async acquire(whatsappId, owner, leaseDurationMs) {
+    const now = new Date();
+
+    try {
+      await this.findOneAndUpdate(
+        {
+          whatsappId,
+          $or: [
+            { lockedUntil: { $lt: now } },
+            { lockedBy: owner }
+          ]
+        },
+        {
+          $set: {
+            lockedBy: owner,
+            lockedUntil: new Date(now.getTime() + leaseDurationMs)
+          }
+        },
+        { upsert: true, new: true }
+      ).exec();
+
+      return true;
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Extend a held lease
+   * @returns {Promise<boolean>} - false if the lease was lost
+   */
+  async renew(whatsappId, owner, leaseDurationMs) {
+    const result = await this.updateOne(
+      { whatsappId, lockedBy: owner },
+      { $set: { lockedUntil: new Date(Date.now() + leaseDurationMs) } }
+    ).exec();
+
+    return result.matchedCount > 0;
+  },
+
+  /**
+   * Release a held lock
+   */
+  release(whatsappId, owner) {
+    return this.deleteOne({ whatsappId, lockedBy: owner }).exec();
+  }
+};
+
+// Export the model
+module.exports = mongoose.model('UserLock', userLockSchema);
@@ -0,0 +1,155 @@
+/**
+ * Webhook Job Model
+ * Mongoose schema for whatsappWebhookJobs collection - durable queue of webhook changes
+ */
+
+const mongoose = require('mongoose');
+const constants = require('../utils/constants');
+
+const JOB_STATUS = constants.WEBHOOK_QUEUE.JOB_STATUS;
+
+// Main Webhook Job Schema
+const webhookJobSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Raw `change.value` from the webhook body
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(JOB_STATUS),
+    default: JOB_STATUS.PENDING,
+    index: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: constants.WEBHOOK_QUEUE.MAX_ATTEMPTS,
+    min: 1
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    message: {
+      type: String,
+      trim: true
+    },
+    stack: {
+      type: String
+    },
+    timestamp: {
+      type: Date
+    }
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,  // Adds createdAt and updatedAt automatically
+  collection: constants.DATABASE.COLLECTIONS.WEBHOOK_JOBS
+});
+
+// Indexes for claiming and lease recovery
+webhookJobSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookJobSchema.index({ status: 1, lockedUntil: 1 });
+
+// Completed jobs are purged automatically; dead-lettered jobs are kept for inspection
+webhookJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: constants.WEBHOOK_QUEUE.COMPLETED_JOB_TTL_SECONDS }
+);
+
+// Static methods for queue operations
+webhookJobSchema.statics = {
+  /**
+   * Atomically claim the next runnable job for a worker
+   * Picks up pending jobs that are due and processing jobs whose lease has expired
+   */
+  claimNext(workerId, leaseDurationMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+      {
+        $or: [
+          { status: JOB_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+          { status: JOB_STATUS.PROCESSING, lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: JOB_STATUS.PROCESSING,
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + leaseDurationMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      {
+        new: true,
+        sort: { nextAttemptAt: 1, createdAt: 1 }
+      }
+    ).exec();
+  },
+
+  /**
+   * Release expired leases (jobs left mid-flight by a crashed worker)
+   */
+  recoverExpiredLeases() {
+    return this.updateMany(
+      { status: JOB_STATUS.PROCESSING, lockedUntil: { $lt: new Date() } },
+      {
+        $set: {
+          status: JOB_STATUS.PENDING,
+          nextAttemptAt: new Date(),
+          lockedBy: null,
+          lockedUntil: null
+        }
+      }
+    ).exec();
+  },
+
+  /**
+   * Count jobs per status
+   */
+  async getQueueStats() {
+    const stats = await this.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return stats.reduce((acc, stat) => {
+      acc[stat._id] = stat.count;
+      return acc;
+    }, {});
+  }
+};
+
+// Export the model
+module.exports = mongoose.model('WebhookJob', webhookJobSchema);
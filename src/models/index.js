@@ -5,8 +5,14 @@
 
 const User = require('./User');
 const Conversation = require('./Conversation');
+const WebhookJob = require('./WebhookJob');
+const ProcessedMessage = require('./ProcessedMessage');
+const UserLock = require('./UserLock');
 
 module.exports = {
   User,
-  Conversation
+  Conversation,
+  WebhookJob,
+  ProcessedMessage,
+  UserLock
 };
\ No newline at end of file
@@ -19,4 +19,13 @@ router.get('/status/:phoneNumber', conversationController.getStatus);
 // POST /api/conversation/lm/send - LM sends message to user
 router.post('/lm/send', conversationController.sendLmMessage);
 
+// POST /api/conversation/lm/send-media - LM sends image/document/audio/video (mediaUrl or base64 mediaData)
+router.post('/lm/send-media', conversationController.sendLmMedia);
+
+// POST /api/conversation/lm/send-template - LM sends an approved template (allowed outside the 24h window)
+router.post('/lm/send-template', conversationController.sendLmTemplate);
+
+// POST /api/conversation/lm/react - LM reacts to a message with an emoji (empty emoji removes it)
+router.post('/lm/react', conversationController.sendLmReaction);
+
 module.exports = router;
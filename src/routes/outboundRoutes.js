@@ -0,0 +1,25 @@
+/**
+ * Outbound Routes
+ * API endpoints for monitoring outbound WhatsApp sends
+ */
+
+const express = require('express');
+const OutboundController = require('../controllers/outboundController');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/outbound/stats
+ * @desc Outbound queue depth per priority lane, wait times and rate limits per phone number
+ * @access NOC
+ */
+router.get('/stats', OutboundController.getStats);
+
+/**
+ * @route GET /api/outbound/channels
+ * @desc Business phone numbers (channels) this deployment sends from, for the channelId of LM API calls
+ * @access NOC
+ */
+router.get('/channels', OutboundController.getChannels);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+/**
+ * Simulator Routes (development only)
+ * Mounted by server.js only when WHATSAPP_SIMULATOR_ENABLED=true outside production
+ */
+
+const express = require('express');
+const SimulatorController = require('../controllers/simulatorController');
+
+const router = express.Router();
+
+/**
+ * @route POST /dev/simulator/messages
+ * @desc Simulate an inbound message and run it through the webhook pipeline
+ * @body { from: string, name?: string, channelId?: string, type?: string, text?: string, ... }
+ */
+router.post('/messages', SimulatorController.sendMessage);
+
+/**
+ * @route GET /dev/simulator/outbox
+ * @desc List captured outbound Graph API calls
+ * @query to, type, limit
+ */
+router.get('/outbox', SimulatorController.getOutbox);
+
+/**
+ * @route DELETE /dev/simulator/outbox
+ * @desc Clear captured outbound Graph API calls
+ */
+router.delete('/outbox', SimulatorController.clearOutbox);
+
+/**
+ * @route GET /dev/simulator/fixtures
+ * @desc List stored raw webhook fixtures
+ */
+router.get('/fixtures', SimulatorController.listFixtures);
+
+/**
+ * @route POST /dev/simulator/fixtures/:name/replay
+ * @desc Replay a stored raw webhook fixture
+ * @query keepIds - keep the original message IDs (the de-duplication ledger may skip them)
+ */
+router.post('/fixtures/:name/replay', SimulatorController.replayFixture);
+
+/**
+ * @route POST /dev/simulator/replay
+ * @desc Replay a raw webhook body (or a single `change.value`) posted inline
+ * @query keepIds - keep the original message IDs
+ */
+router.post('/replay', SimulatorController.replayRaw);
+
+module.exports = router;
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const WebhookSignature = require('../middleware/webhookSignature');
 
 // GET /webhook - For webhook verification
 router.get('/', webhookController.verifyWebhook);
 
-// POST /webhook - For receiving messages
-router.post('/', webhookController.receiveMessage);
+// POST /webhook - For receiving messages (X-Hub-Signature-256 verified first)
+router.post('/', WebhookSignature.verify, webhookController.receiveMessage);
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,17 @@
 const axios = require('axios');
+const channelRegistry = require('../utils/channelRegistry');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const constants = require('../utils/constants');
+
+const AI_SERVICE = constants.AI_SERVICE;
 
 class AIService {
     constructor() {
         // Use environment variables with fallbacks
         this.baseURL = process.env.AI_API_BASE_URL;
         this.endpoint = process.env.AI_API_ENDPOINT;
-        this.timeout = parseInt(process.env.AI_API_TIMEOUT);
+        this.timeout = parseInt(process.env.AI_API_TIMEOUT) || AI_SERVICE.TIMEOUT;
+        this.circuitBreakers = new Map(); // AI endpoint URL -> CircuitBreaker
         
         // console.log('🔧 AI Service initialized:');
         // console.log(`   Base URL: ${this.baseURL}`);
@@ -19,99 +25,291 @@ class AIService {
      * @param {string} phoneNumber - User's phone number
      * @param {string} conversationStatus - Conversation status ('AI' or 'HUMAN')
      * @param {string} direction - Message direction ('inbound' or 'outbound_lm')
-     * @returns {Promise<string>} - Complete AI response content
+     * @param {Object} options - Optional extras: replyTo (quoted message {whatsappMessageId, direction, textContent}),
+     *                           attachments (media / locations the user sent, see MessageProcessor.buildAIAttachment),
+     *                           onContent (called with every streamed `content_chunk` text)
+     * @returns {Promise<{ok: boolean, content: string, errorType: string|null, attempts: number}>} - See getAIResponse
      */
-    async sendMessageToAI(message, phoneNumber, conversationStatus = 'AI', direction = 'inbound') {
-        try {
-            console.log('🤖 Sending message to AI API...');
-            console.log('📊 Conversation Status:', conversationStatus);
-            console.log('📍 Direction:', direction);
-            // console.log(`📞 Phone: ${phoneNumber}`);
-            // console.log(`💬 Message: ${message}`);
-            
-            const requestBody = {
-                message: message,
-                phoneNumber: phoneNumber,
-                isWhatsApp: true,
-                conversationStatus: conversationStatus,
-                direction: direction
-            };
-            
-            // console.log('📦 Request body:', JSON.stringify(requestBody, null, 2));
-            
-            const config = {
-                method: 'POST',
-                url: this.baseURL + this.endpoint,
-                data: requestBody,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'text/plain, text/event-stream, */*'
-                },
-                responseType: 'stream', // Important for handling streaming response
-                timeout: this.timeout // Use configurable timeout
+    async sendMessageToAI(message, phoneNumber, conversationStatus = 'AI', direction = 'inbound', options = {}) {
+        const aiResponse = await this.getAIResponse(message, phoneNumber, conversationStatus, direction, options);
+        return {
+            ok: aiResponse.ok,
+            content: aiResponse.content,
+            errorType: aiResponse.errorType,
+            attempts: aiResponse.attempts
+        };
+    }
+    
+    /**
+     * Same as sendMessageToAI, but also returns the structured extras of `response_complete`:
+     * media attachments (`data.media: [{ type, url, caption, filename }]`) and
+     * reply buttons / list options (`data.interactive`, see interactiveMessageService),
+     * an emoji reaction to the user's message (`data.reaction: { emoji }`) and
+     * a request to hand the conversation to a human (`handoff` event or `data.handoff`,
+     * see getHandoff)
+     *
+     * Never throws. Requests that fail before the stream starts (network errors, timeouts,
+     * 408/429/5xx) are retried with backoff; a failure once the stream is running is not
+     * retried, since the AI may already have acted on the message. When the AI cannot answer,
+     * `ok` is false, `errorType` is an AI_SERVICE.ERROR_TYPES value and `content` is the
+     * fallback text for the user.
+     * @returns {Promise<{ok: boolean, content: string, media: Array<Object>, interactive: Object|null, reaction: Object|null, handoff: Object|null, errorType: string|null, attempts: number}>}
+     */
+    async getAIResponse(message, phoneNumber, conversationStatus = 'AI', direction = 'inbound', options = {}) {
+        console.log('🤖 Sending message to AI API...');
+        console.log('📊 Conversation Status:', conversationStatus);
+        console.log('📍 Direction:', direction);
+        // console.log(`📞 Phone: ${phoneNumber}`);
+        // console.log(`💬 Message: ${message}`);
+        
+        const requestBody = {
+            message: message,
+            phoneNumber: phoneNumber,
+            isWhatsApp: true,
+            conversationStatus: conversationStatus,
+            direction: direction
+        };
+        
+        // Give the AI the message being replied to ("yes, that one")
+        if (options.replyTo) {
+            requestBody.replyTo = {
+                messageId: options.replyTo.whatsappMessageId,
+                direction: options.replyTo.direction || null,
+                text: options.replyTo.textContent || null
             };
+        }
+        
+        // Images, documents and locations the user shared
+        if (options.attachments && options.attachments.length > 0) {
+            requestBody.attachments = options.attachments;
+        }
+        
+        // console.log('📦 Request body:', JSON.stringify(requestBody, null, 2));
+        
+        // Each business number can point at its own AI backend
+        const channel = channelRegistry.current();
+        
+        const config = {
+            method: 'POST',
+            url: (channel.aiBaseUrl || this.baseURL) + (channel.aiEndpoint || this.endpoint),
+            data: requestBody,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/plain, text/event-stream, */*'
+            },
+            responseType: 'stream', // Important for handling streaming response
+            timeout: this.timeout // Use configurable timeout
+        };
+        
+        // Fail fast while the AI backend is known to be down
+        const circuitBreaker = this.getCircuitBreaker(config.url);
+        if (!circuitBreaker.canRequest()) {
+            console.warn('⚡ AI circuit breaker open - skipping AI call', circuitBreaker.getState());
+            return this.buildFallbackResult(AI_SERVICE.ERROR_TYPES.CIRCUIT_OPEN, 0);
+        }
+        
+        let attempts = 0;
+        
+        for (;;) {
+            attempts += 1;
+            let response;
             
-            console.log('🔄 Making AI API request:', config.url);
-            // console.log('🔧 Request config:', {
-            //     method: config.method,
-            //     url: config.url,
-            //     headers: config.headers,
-            //     timeout: config.timeout
-            // });
+            try {
+                console.log(`🔄 Making AI API request (attempt ${attempts}):`, config.url);
+                response = await axios(config);
+                console.log('✅ AI API connection successful');
+                
+            } catch (error) {
+                const errorType = this.classifyError(error);
+                this.logError(error);
+                
+                if (this.isRetryable(error) && attempts <= AI_SERVICE.MAX_RETRIES) {
+                    const delay = this.getRetryDelay(attempts);
+                    console.warn(`🔁 AI API request failed (${errorType}) - retrying in ${delay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+                
+                circuitBreaker.recordFailure();
+                return this.buildFallbackResult(errorType, attempts);
+            }
             
-            const response = await axios(config);
+            // Process the streaming response
+            let streamResult;
+            try {
+                streamResult = await this.processStreamingResponse(response.data, { onContent: options.onContent });
+            } catch (streamError) {
+                console.error('❌ AI stream failed:', streamError.message);
+                circuitBreaker.recordFailure();
+                return this.buildFallbackResult(AI_SERVICE.ERROR_TYPES.STREAM, attempts);
+            }
             
-            console.log('✅ AI API connection successful');
-            // console.log('📊 Response status:', response.status);
-            // console.log('📋 Response headers:', response.headers);
+            if (streamResult.errorType) {
+                // An empty answer means the backend is up - only timeouts count against the circuit
+                if (streamResult.errorType === AI_SERVICE.ERROR_TYPES.TIMEOUT) {
+                    circuitBreaker.recordFailure();
+                } else {
+                    circuitBreaker.recordSuccess();
+                }
+                return this.buildFallbackResult(streamResult.errorType, attempts);
+            }
             
-            // Process the streaming response
-            const aiResponse = await this.processStreamingResponse(response.data);
+            circuitBreaker.recordSuccess();
             
             // console.log('✅ AI API response received');
-            console.log('🔍 Full AI Response:', aiResponse);
-            
-            return aiResponse;
+            console.log('🔍 Full AI Response:', streamResult);
             
-        } catch (error) {
-            console.error('❌ === AI API ERROR ===');
-            console.error('Error message:', error.message);
-            console.error('Error code:', error.code);
+            return {
+                ok: true,
+                content: streamResult.content,
+                media: streamResult.media,
+                interactive: streamResult.interactive,
+                reaction: streamResult.reaction,
+                handoff: streamResult.handoff,
+                errorType: null,
+                attempts
+            };
+        }
+    }
+    
+    /**
+     * Result returned when the AI could not answer
+     * @param {string} errorType - AI_SERVICE.ERROR_TYPES value
+     * @param {number} attempts - Requests made (0 when the circuit breaker refused the call)
+     */
+    buildFallbackResult(errorType, attempts) {
+        const fallbackMessages = AI_SERVICE.FALLBACK_MESSAGES;
+        let content = fallbackMessages.DEFAULT;
+        
+        if (errorType === AI_SERVICE.ERROR_TYPES.TIMEOUT) {
+            content = fallbackMessages.TIMEOUT;
+        } else if (errorType === AI_SERVICE.ERROR_TYPES.EMPTY_RESPONSE) {
+            content = fallbackMessages.EMPTY_RESPONSE;
+        }
+        
+        return {
+            ok: false,
+            content,
+            media: [],
+            interactive: null,
+            reaction: null,
+            handoff: null,
+            errorType,
+            attempts
+        };
+    }
+    
+    /**
+     * Handoff request from a stream event:
+     *   data:{"type":"handoff","data":{"reason":"payment","priority":"high","summary":"...","message":"..."}}
+     * `reason` is the AI's own label, `priority` an ESCALATION.PRIORITY value, `summary` the
+     * conversation summary for the LM and `message` an optional bridging text for the user
+     * @returns {Object|null} - { reason, priority, summary, message }
+     */
+    getHandoff(handoff) {
+        if (!handoff || typeof handoff !== 'object') {
+            return null;
+        }
+        
+        const priorities = Object.values(constants.ESCALATION.PRIORITY);
+        const text = (value, maxLength) => typeof value === 'string' && value.trim() ?
+            value.trim().substring(0, maxLength) : null;
+        
+        return {
+            reason: text(handoff.reason, 200) || 'unspecified',
+            priority: priorities.includes(handoff.priority) ? handoff.priority : constants.ESCALATION.PRIORITY.NORMAL,
+            summary: text(handoff.summary, constants.ESCALATION.SUMMARY_MAX_LENGTH),
+            message: text(handoff.message, constants.WHATSAPP_LIMITS.MESSAGE_LENGTH)
+        };
+    }
+    
+    /**
+     * Circuit breaker for an AI endpoint (channels may use different backends)
+     */
+    getCircuitBreaker(url) {
+        if (!this.circuitBreakers.has(url)) {
+            this.circuitBreakers.set(url, new CircuitBreaker({
+                failureThreshold: AI_SERVICE.CIRCUIT_BREAKER.FAILURE_THRESHOLD,
+                resetTimeout: AI_SERVICE.CIRCUIT_BREAKER.RESET_TIMEOUT
+            }));
+        }
+        return this.circuitBreakers.get(url);
+    }
+    
+    /**
+     * Map a request error to an AI_SERVICE.ERROR_TYPES value
+     */
+    classifyError(error) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 408) {
+            return AI_SERVICE.ERROR_TYPES.TIMEOUT;
+        }
+        if (error.response) {
+            return AI_SERVICE.ERROR_TYPES.HTTP;
+        }
+        return AI_SERVICE.ERROR_TYPES.NETWORK;
+    }
+    
+    /**
+     * Errors raised before the stream started: no response at all, or a transient status
+     */
+    isRetryable(error) {
+        if (!error.response) {
+            return !!error.request || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        }
+        return AI_SERVICE.RETRYABLE_STATUS.includes(error.response.status);
+    }
+    
+    /**
+     * Exponential backoff with jitter
+     */
+    getRetryDelay(attempt) {
+        const backoff = AI_SERVICE.RETRY_DELAY * Math.pow(2, attempt - 1);
+        const jitter = Math.random() * AI_SERVICE.RETRY_DELAY;
+        return Math.min(backoff + jitter, AI_SERVICE.MAX_RETRY_DELAY);
+    }
+    
+    logError(error) {
+        console.error('❌ === AI API ERROR ===');
+        console.error('Error message:', error.message);
+        console.error('Error code:', error.code);
+        
+        if (error.response) {
+            console.error('Response status:', error.response.status);
+            console.error('Response statusText:', error.response.statusText);
+            console.error('Response headers:', error.response.headers);
             
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response statusText:', error.response.statusText);
-                console.error('Response headers:', error.response.headers);
-                
-                // Try to read response data if available
-                if (error.response.data) {
-                    console.error('Response data:', error.response.data);
-                }
-            } else if (error.request) {
-                console.error('Request made but no response received');
-                console.error('Request details:', {
-                    method: error.config?.method,
-                    url: error.config?.url,
-                    headers: error.config?.headers
-                });
+            // Try to read response data if available
+            if (error.response.data) {
+                console.error('Response data:', error.response.data);
             }
-            console.error('❌ === END AI API ERROR ===');
-            
-            // Return fallback message
-            return "I'm sorry, I'm experiencing technical difficulties right now. Please try again in a moment.";
+        } else if (error.request) {
+            console.error('Request made but no response received');
+            console.error('Request details:', {
+                method: error.config?.method,
+                url: error.config?.url,
+                headers: error.config?.headers
+            });
         }
+        console.error('❌ === END AI API ERROR ===');
     }
     
     /**
      * Process streaming response from AI API
      * @param {Stream} stream - Response stream from AI API
-     * @returns {Promise<string>} - Complete response content
+     * @param {Object} handlers - onContent(text) receives each content chunk as it arrives
+     * @returns {Promise<{content: string, media: Array<Object>, interactive: Object|null, reaction: Object|null, handoff: Object|null, errorType: string|null}>}
+     *          - Complete response content and extras; errorType is set when no answer arrived (empty response, timeout)
+     *            - a handoff without any text is an answer
      */
-    async processStreamingResponse(stream) {
+    async processStreamingResponse(stream, { onContent } = {}) {
         const streamTimeout = this.timeout - 5000; // 5 seconds less than request timeout
         
         return new Promise((resolve, reject) => {
             let completeResponse = '';
+            let media = [];
+            let interactive = null;
+            let reaction = null;
+            let handoff = null;
             let buffer = '';
             let chunks = [];
             
@@ -147,10 +345,21 @@ class AIService {
                             // Handle different chunk types based on your screenshot
                             if (data.type === 'content_chunk') {
                                 console.log('📝 Content chunk:', data.content);
-                                // Collect content chunks but don't use them for final response
+                                // The final response comes with response_complete; chunks only drive progressive sends
+                                if (onContent && data.content) {
+                                    try {
+                                        onContent(data.content);
+                                    } catch (handlerError) {
+                                        console.warn('⚠️ Content chunk handler failed:', handlerError.message);
+                                    }
+                                }
                             } else if (data.type === 'response_complete') {
                                 // This is the final response with complete content
                                 // console.log('✅ Response complete received');
+                                media = data.data?.media || data.media || [];
+                                interactive = data.data?.interactive || data.interactive || null;
+                                reaction = data.data?.reaction || data.reaction || null;
+                                handoff = this.getHandoff(data.data?.handoff || data.handoff) || handoff;
                                 if (data.data && data.data.content) {
                                     completeResponse = data.data.content;
                                     // console.log('📋 Complete response from data.data.content:', completeResponse);
@@ -158,6 +367,10 @@ class AIService {
                                     completeResponse = data.content;
                                     // console.log('📋 Complete response from data.content:', completeResponse);
                                 }
+                            } else if (data.type === 'handoff') {
+                                // The AI wants a human to take over
+                                handoff = this.getHandoff(data.data || data);
+                                console.log('🙋 Handoff requested by AI:', handoff);
                             } else {
                                 // console.log(`ℹ️ Other chunk type: ${data.type}`, data);
                             }
@@ -182,49 +395,67 @@ class AIService {
             });
             
             stream.on('end', () => {
+                clearTimeout(timeoutTimer);
                 console.log('🏁 Stream ended');
                 console.log('📊 Total chunks processed:', chunks.length);
                 console.log('📋 All chunks:', JSON.stringify(chunks, null, 2));
                 
                 if (completeResponse && completeResponse.trim()) {
                     console.log('✅ Using complete response:', completeResponse);
-                    resolve(completeResponse.trim());
+                    resolve({ content: completeResponse.trim(), media, interactive, reaction, handoff, errorType: null });
                 } else {
                     console.warn('⚠️ No complete response found in chunks');
                     
                     // Fallback: try to concatenate content chunks
-                    const contentChunks = chunks
-                        .filter(chunk => chunk.type === 'content_chunk')
-                        .map(chunk => chunk.content)
-                        .join('');
+                    const contentChunks = this.joinContentChunks(chunks);
                     
                     if (contentChunks) {
                         // console.log('🔄 Using concatenated content chunks:', contentChunks);
-                        resolve(contentChunks);
+                        resolve({ content: contentChunks, media, interactive, reaction, handoff, errorType: null });
+                    } else if (handoff) {
+                        resolve({ content: '', media, interactive, reaction, handoff, errorType: null });
                     } else {
-                        console.warn('⚠️ No usable content found, using fallback');
-                        resolve("I want to give you the best answer — Could you share a bit more detail...");
+                        console.warn('⚠️ No usable content found');
+                        resolve({ content: '', media, interactive, reaction, handoff: null, errorType: AI_SERVICE.ERROR_TYPES.EMPTY_RESPONSE });
                     }
                 }
             });
             
             stream.on('error', (error) => {
+                clearTimeout(timeoutTimer);
                 console.error('❌ Stream error:', error);
                 reject(error);
             });
             
             // Timeout handling
-            setTimeout(() => {
+            const timeoutTimer = setTimeout(() => {
                 console.warn('⏰ Stream timeout reached');
-                if (completeResponse) {
-                    resolve(completeResponse);
+                
+                // Stop reading - late chunks must not reach onContent after we answered
+                stream.destroy();
+                
+                // A streamed answer without response_complete is still an answer
+                const content = completeResponse || this.joinContentChunks(chunks);
+                
+                if (content || handoff) {
+                    resolve({ content, media, interactive, reaction, handoff, errorType: null });
                 } else {
-                    resolve("Response timeout. Please try again.");
+                    resolve({ content: '', media: [], interactive: null, reaction: null, handoff: null, errorType: AI_SERVICE.ERROR_TYPES.TIMEOUT });
                 }
             }, streamTimeout);
         });
     }
     
+    /**
+     * Text of the `content_chunk`s received so far (used when no response_complete arrived)
+     */
+    joinContentChunks(chunks) {
+        return chunks
+            .filter(chunk => chunk.type === 'content_chunk')
+            .map(chunk => chunk.content)
+            .join('');
+    }
+    
     /**
      * Clean phone number format for AI API
      * @param {string} phoneNumber - Raw phone number
@@ -68,6 +68,13 @@ class ConversationControlService {
         }
       };
 
+      // Taking over an escalated conversation removes it from the NOC queue
+      if (user.escalation?.status === constants.ESCALATION.STATUS.PENDING) {
+        updateData['escalation.status'] = constants.ESCALATION.STATUS.ACCEPTED;
+        updateData['escalation.acceptedAt'] = updateData.lastTakeover.timestamp;
+        updateData['escalation.acceptedBy'] = lmId;
+      }
+
       // Update MongoDB
       const updatedUser = await userService.updateConversationControl(
         phoneNumber,
@@ -80,6 +87,7 @@ class ConversationControlService {
           conversationStatus: constants.CONVERSATION_STATUS.HUMAN,
           assignedLmId: lmId,
           lastTakeover: updateData.lastTakeover,
+          ...(updatedUser.escalation ? { escalation: updatedUser.escalation.toObject() } : {}),
           updatedAt: new Date()
         }).catch(error => {
           logger.warn('ConversationControl', 'Firestore sync failed for takeover', {
@@ -176,6 +184,12 @@ class ConversationControlService {
         }
       };
 
+      // Back to the AI - the escalation is over
+      if (user.escalation && user.escalation.status !== constants.ESCALATION.STATUS.RESOLVED) {
+        updateData['escalation.status'] = constants.ESCALATION.STATUS.RESOLVED;
+        updateData['escalation.resolvedAt'] = updateData.lastRelease.timestamp;
+      }
+
       // Update MongoDB
       const updatedUser = await userService.updateConversationControl(
         phoneNumber,
@@ -187,6 +201,7 @@ class ConversationControlService {
         firestoreService.saveUser(phoneNumber, {
           conversationStatus: constants.CONVERSATION_STATUS.AI,
           lastRelease: updateData.lastRelease,
+          ...(updatedUser.escalation ? { escalation: updatedUser.escalation.toObject() } : {}),
           updatedAt: new Date()
         }).catch(error => {
           logger.warn('ConversationControl', 'Firestore sync failed for release', {
@@ -216,6 +231,90 @@ class ConversationControlService {
     }
   }
 
+  /**
+   * Escalate conversation - Switch to HUMAN mode and wait for an LM in the NOC queue
+   * Used when the AI cannot (or should not) keep answering. No LM is assigned: the pending
+   * escalation on the user document (mirrored to Firestore) is what the NOC picks up.
+   * @param {string} phoneNumber - User's WhatsApp ID
+   * @param {Object} params - { reason, priority, details, summary }
+   * @returns {Promise<Object>} - { success, escalated, conversationStatus, escalation }
+   */
+  async escalate(phoneNumber, { reason, priority = constants.ESCALATION.PRIORITY.NORMAL, details = null, summary = null } = {}) {
+    try {
+      validator.validateWhatsappId(phoneNumber);
+
+      if (!reason) {
+        throw new Error('Escalation reason is required');
+      }
+
+      const user = await userService.findUserByWhatsappId(phoneNumber);
+
+      if (!user) {
+        throw new Error(`User with phone number ${phoneNumber} not found`);
+      }
+
+      // An LM is already on it (or it is already queued) - nothing to escalate
+      if (user.conversationStatus === constants.CONVERSATION_STATUS.HUMAN) {
+        logger.info('ConversationControl', 'Conversation already in HUMAN mode, escalation skipped', {
+          phoneNumber,
+          reason,
+          assignedLmId: user.assignedLmId
+        });
+
+        return {
+          success: true,
+          escalated: false,
+          conversationStatus: user.conversationStatus,
+          escalation: user.escalation || null
+        };
+      }
+
+      const escalation = {
+        status: constants.ESCALATION.STATUS.PENDING,
+        reason,
+        priority,
+        details,
+        summary,
+        escalatedAt: new Date()
+      };
+
+      const updatedUser = await userService.escalateConversation(phoneNumber, escalation);
+
+      // Sync to Firestore (non-blocking) - the NOC watches for pending escalations
+      if (constants.FIRESTORE.SYNC_ENABLED) {
+        firestoreService.saveUser(phoneNumber, {
+          conversationStatus: constants.CONVERSATION_STATUS.HUMAN,
+          assignedLmId: null,
+          escalation,
+          updatedAt: new Date()
+        }).catch(error => {
+          logger.warn('ConversationControl', 'Firestore sync failed for escalation', {
+            phoneNumber,
+            error: error.message
+          });
+        });
+      }
+
+      logger.warn('ConversationControl', 'Conversation escalated to the NOC', {
+        phoneNumber,
+        reason,
+        priority,
+        details
+      });
+
+      return {
+        success: true,
+        escalated: true,
+        conversationStatus: updatedUser.conversationStatus,
+        escalation: updatedUser.escalation
+      };
+
+    } catch (error) {
+      logger.error('ConversationControl', `Escalation failed: ${error.message}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get conversation status
    */
@@ -7,6 +7,7 @@ const { Conversation } = require('../models');
 const logger = require('../utils/logger');
 const validator = require('../utils/validators');
 const constants = require('../utils/constants');
+const channelRegistry = require('../utils/channelRegistry');
 
 class ConversationService {
   constructor() {
@@ -23,7 +24,7 @@ class ConversationService {
       logger.database('CREATE', this.modelName, { conversationId });
 
       // Check if conversation already exists
-      const existingConversation = await Conversation.findByConversationId(conversationId);
+      const existingConversation = await Conversation.findByConversationId(conversationId, channelRegistry.mongoFilter());
       if (existingConversation) {
         logger.debug('ConversationService', `Conversation already exists`, { conversationId });
         return existingConversation;
@@ -32,6 +33,7 @@ class ConversationService {
       // Create new conversation
       const conversation = new Conversation({
         conversationId,
+        channelId: channelRegistry.currentId(),
         messages: []
       });
 
@@ -59,7 +61,7 @@ class ConversationService {
       
       logger.database('FIND', this.modelName, { conversationId });
 
-      const conversation = await Conversation.findByConversationId(conversationId);
+      const conversation = await Conversation.findByConversationId(conversationId, channelRegistry.mongoFilter());
       
       if (!conversation) {
         logger.debug('ConversationService', `Conversation not found`, { conversationId });
@@ -126,6 +128,9 @@ class ConversationService {
         },
         $set: { 
           lastUpdated: new Date() 
+        },
+        $setOnInsert: {
+          channelId: channelRegistry.currentId()
         }
       };
 
@@ -137,7 +142,7 @@ class ConversationService {
       };
 
       const updatedConversation = await Conversation.findOneAndUpdate(
-        { conversationId },
+        { conversationId, ...channelRegistry.mongoFilter() },
         update,
         options
       );
@@ -177,6 +182,7 @@ class ConversationService {
 
       const conversation = await Conversation.findOne({
         conversationId,
+        ...channelRegistry.mongoFilter(),
         'messages.clientMessageId': clientMessageId
       }).select('messages.$');
 
@@ -257,6 +263,9 @@ class ConversationService {
         },
         $set: { 
           lastUpdated: new Date() 
+        },
+        $setOnInsert: {
+          channelId: channelRegistry.currentId()
         }
       };
 
@@ -268,7 +277,7 @@ class ConversationService {
       };
 
       const updatedConversation = await Conversation.findOneAndUpdate(
-        { conversationId },
+        { conversationId, ...channelRegistry.mongoFilter() },
         update,
         options
       );
@@ -408,7 +417,8 @@ class ConversationService {
   }
 
   /**
-   * Find message by WhatsApp message ID across all conversations
+   * Find message by WhatsApp message ID across the conversations of the current channel
+   * (the returned messageIndex is only valid in that channel's conversation)
    */
   async findMessageByWhatsappId(whatsappMessageId) {
     try {
@@ -416,7 +426,7 @@ class ConversationService {
 
       // Use MongoDB aggregation to search across all conversations
       const result = await Conversation.aggregate([
-        { $match: { 'messages.whatsappMessageId': whatsappMessageId } },
+        { $match: { 'messages.whatsappMessageId': whatsappMessageId, ...channelRegistry.mongoFilter() } },
         { $unwind: { path: '$messages', includeArrayIndex: 'messageIndex' } },
         { $match: { 'messages.whatsappMessageId': whatsappMessageId } },
         { 
@@ -453,6 +463,117 @@ class ConversationService {
     }
   }
 
+  /**
+   * Move a conversation to a new conversation ID after a number change
+   * @param {string} oldConversationId - Previous WhatsApp ID
+   * @param {string} newConversationId - New WhatsApp ID
+   * @param {Function} transformMessage - Optional mapper applied to every message (e.g. media URL rewrite)
+   */
+  async migrateConversation(oldConversationId, newConversationId, transformMessage = (message) => message) {
+    try {
+      validator.validateWhatsappId(oldConversationId);
+      validator.validateWhatsappId(newConversationId);
+
+      logger.database('MIGRATE_CONVERSATION', this.modelName, { oldConversationId, newConversationId });
+
+      const oldConversation = await Conversation.findByConversationId(oldConversationId, channelRegistry.mongoFilter());
+
+      if (!oldConversation) {
+        logger.debug('ConversationService', 'No conversation to migrate', { oldConversationId });
+        return null;
+      }
+
+      const messages = oldConversation.messages.map(message => transformMessage(message.toObject()));
+      const existingConversation = await Conversation.findByConversationId(newConversationId, channelRegistry.mongoFilter());
+
+      let migratedConversation;
+
+      if (!existingConversation) {
+        migratedConversation = await Conversation.findByIdAndUpdate(
+          oldConversation._id,
+          {
+            $set: {
+              conversationId: newConversationId,
+              messages,
+              lastUpdated: new Date()
+            }
+          },
+          { new: true }
+        );
+      } else {
+        // messages.clientMessageId is unique across conversations, so the old document
+        // has to go before its messages can be appended to the existing one
+        const oldConversationData = oldConversation.toObject();
+        await Conversation.deleteOne({ _id: oldConversation._id });
+
+        try {
+          migratedConversation = await Conversation.findByIdAndUpdate(
+            existingConversation._id,
+            {
+              $push: {
+                messages: {
+                  $each: messages,
+                  $sort: { timestamp: -1 }
+                }
+              },
+              $set: { lastUpdated: new Date() }
+            },
+            { new: true }
+          );
+        } catch (mergeError) {
+          await Conversation.collection.insertOne(oldConversationData);
+          throw mergeError;
+        }
+      }
+
+      logger.success('ConversationService', 'Conversation migrated to new ID', {
+        oldConversationId,
+        newConversationId,
+        migratedMessages: messages.length,
+        mergedIntoExisting: !!existingConversation
+      });
+
+      return migratedConversation;
+
+    } catch (error) {
+      logger.error('ConversationService', `Failed to migrate conversation: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a reply-to reference for a quoted WhatsApp message ID
+   * Only messages of the given conversation are resolved, so no other user's text is copied in.
+   * Falls back to the bare ID when the quoted message is not stored there, or returns null
+   * when `required` (an LM quoting a message must quote one of this conversation)
+   * @param {string} whatsappMessageId - Quoted WhatsApp message ID
+   * @param {string} conversationId - Conversation the reply is sent in
+   * @param {Object} options - { required }
+   */
+  async resolveReplyTo(whatsappMessageId, conversationId, { required = false } = {}) {
+    try {
+      const result = await this.findMessageByWhatsappId(whatsappMessageId);
+
+      if (!result || result.conversationId !== conversationId) {
+        return required ? null : { whatsappMessageId };
+      }
+
+      return {
+        whatsappMessageId,
+        direction: result.message.direction,
+        textContent: result.message.textContent,
+        timestamp: result.message.timestamp
+      };
+
+    } catch (error) {
+      logger.warn('ConversationService', `Failed to resolve reply-to message: ${error.message}`, { whatsappMessageId });
+      if (required) {
+        throw error;
+      }
+      return { whatsappMessageId };
+    }
+  }
+
   /**
    * Update message reaction by conversation ID and message index
    */
@@ -490,7 +611,7 @@ class ConversationService {
       }
 
       const conversation = await Conversation.findOneAndUpdate(
-        { conversationId },
+        { conversationId, ...channelRegistry.mongoFilter() },
         updateOperation,
         { new: true }
       );
@@ -537,6 +658,84 @@ class ConversationService {
       throw error;
     }
   }
+
+  /**
+   * Record a delivery status update on an outbound message
+   * Repeated deliveries of the same status are ignored; the current status never moves backwards
+   */
+  async updateMessageDeliveryStatus(conversationId, whatsappMessageId, statusEntry) {
+    try {
+      validator.validateWhatsappId(conversationId);
+
+      logger.debug('ConversationService', 'Updating message delivery status', {
+        conversationId,
+        whatsappMessageId,
+        status: statusEntry.status
+      });
+
+      const conversation = await Conversation.findOneAndUpdate(
+        {
+          conversationId,
+          ...channelRegistry.mongoFilter(),
+          messages: {
+            $elemMatch: {
+              whatsappMessageId,
+              'statusHistory.status': { $ne: statusEntry.status }
+            }
+          }
+        },
+        {
+          $push: { 'messages.$.statusHistory': statusEntry },
+          $set: { lastUpdated: new Date() }
+        },
+        { new: true }
+      );
+
+      if (!conversation) {
+        logger.debug('ConversationService', 'Message not found or status already recorded', {
+          conversationId,
+          whatsappMessageId,
+          status: statusEntry.status
+        });
+        return null;
+      }
+
+      const messageIndex = conversation.messages.findIndex(msg => msg.whatsappMessageId === whatsappMessageId);
+      const updatedMessage = conversation.messages[messageIndex];
+
+      // Highest ranked status in the history wins, whatever order the webhooks arrived in
+      const deliveryStatus = updatedMessage.statusHistory.reduce((current, entry) => {
+        const rank = constants.DELIVERY_STATUS_RANK;
+        return !current || rank[entry.status] > rank[current] ? entry.status : current;
+      }, null);
+
+      if (updatedMessage.deliveryStatus !== deliveryStatus) {
+        await Conversation.updateOne(
+          { conversationId, ...channelRegistry.mongoFilter(), 'messages.whatsappMessageId': whatsappMessageId },
+          { $set: { 'messages.$.deliveryStatus': deliveryStatus } }
+        );
+        updatedMessage.deliveryStatus = deliveryStatus;
+      }
+
+      logger.success('ConversationService', 'Message delivery status updated successfully', {
+        conversationId,
+        messageIndex,
+        whatsappMessageId,
+        deliveryStatus
+      });
+
+      return {
+        conversation,
+        messageIndex,
+        message: updatedMessage,
+        whatsappMessageId
+      };
+
+    } catch (error) {
+      logger.error('ConversationService', `Failed to update message delivery status: ${error.message}`, error);
+      throw error;
+    }
+  }
 }
 
 // Create singleton instance
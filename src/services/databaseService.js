@@ -7,6 +7,7 @@ const userService = require('./userService');
 const conversationService = require('./conversationService');
 const mediaService = require('./mediaService');
 const firestoreSyncService = require('./firestoreSyncService'); // Firestore sync
+const { User } = require('../models');
 const dbConnection = require('../utils/dbConnection');
 const logger = require('../utils/logger');
 const validator = require('../utils/validators');
@@ -35,6 +36,14 @@ class DatabaseService {
       // Initialize MongoDB connection
       await dbConnection.connect();
 
+      // Drop indexes that conflict with the current schema (e.g. pre-channel unique whatsappId)
+      if (dbConnection.isDbConnected()) {
+        const droppedLegacyIndex = await User.migrateIndexes();
+        if (droppedLegacyIndex) {
+          logger.warn('DatabaseService', 'Dropped legacy unique whatsappId index - users are now unique per channel');
+        }
+      }
+
       // Initialize Firebase/Media service (includes Firebase Admin with database URL)
       mediaService.initialize();
 
@@ -125,7 +134,9 @@ class DatabaseService {
         direction: constants.MESSAGE_DIRECTION.INBOUND,
         timestamp: messageData.timestamp || new Date(),
         textContent: messageData.textContent || '',
-        mediaData: mediaData || undefined
+        mediaData: mediaData || undefined,
+        interactiveReply: messageData.interactiveReply || undefined,
+        replyTo: messageData.replyTo || undefined
       };
 
       // 4. Add message to conversation
@@ -135,7 +146,8 @@ class DatabaseService {
       const updatedUser = await this.userService.updateUserMetrics(
         whatsappId,
         messageData.textContent || '[Media]',
-        1
+        1,
+        messageData.timestamp
       );
 
       const processingTime = Date.now() - startTime;
@@ -203,8 +215,14 @@ class DatabaseService {
         textContent: aiResponse.textContent || '',
         aiAudit: aiAuditData ? {
           checkpointId: aiAuditData.checkpointId,
-          processingTimeMs: aiAuditData.processingTimeMs
-        } : undefined
+          processingTimeMs: aiAuditData.processingTimeMs,
+          isFallback: aiAuditData.isFallback || undefined,
+          errorType: aiAuditData.errorType || undefined,
+          attempts: aiAuditData.attempts
+        } : undefined,
+        mediaData: aiResponse.mediaData || undefined,
+        messageGroup: aiResponse.messageGroup || undefined,
+        replyTo: aiResponse.replyTo || undefined
       };
 
       // 3. Add message to conversation
@@ -303,7 +321,10 @@ class DatabaseService {
         textContent: lmResponse.textContent || '',
         clientMessageId,
         assignedLmId: lmId,
-        assignedLmName: lmName // Add lmName to message storage
+        assignedLmName: lmName, // Add lmName to message storage
+        mediaData: lmResponse.mediaData || undefined,
+        template: lmResponse.template || undefined,
+        replyTo: lmResponse.replyTo || undefined
       };
 
       // 4. Add LM message to conversation
@@ -571,6 +592,33 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Record a delivery status update on an outbound message
+   */
+  async updateMessageDeliveryStatus(conversationId, whatsappMessageId, statusEntry) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      logger.debug('DatabaseService', 'Updating message delivery status', {
+        conversationId,
+        whatsappMessageId,
+        status: statusEntry.status
+      });
+
+      return await this.conversationService.updateMessageDeliveryStatus(
+        conversationId,
+        whatsappMessageId,
+        statusEntry
+      );
+
+    } catch (error) {
+      logger.error('DatabaseService', `Failed to update message delivery status: ${error.message}`, error);
+      throw error;
+    }
+  }
+
   // static async getMessages(phoneNumber, limit = 50) {
   //   const service = new DatabaseService();
   //   try {
@@ -378,6 +378,66 @@ class FirestoreMessageService {
       return null;
     }
   }
+
+  /**
+   * Update message delivery status (ticks) in Firestore
+   */
+  async updateMessageDeliveryStatus(conversationId, whatsappMessageId, mongoMessage) {
+    try {
+      if (!firestoreService.isReady()) {
+        logger.debug('FirestoreMessageService', 'Service not ready, skipping delivery status update');
+        return null;
+      }
+
+      logger.info('FirestoreMessageService', 'Updating message delivery status in Firestore', { 
+        conversationId,
+        whatsappMessageId,
+        deliveryStatus: mongoMessage.deliveryStatus
+      });
+
+      // Find the Firestore message document by WhatsApp message ID
+      const messages = await this.getFirestoreMessages(conversationId, 1000, whatsappMessageId);
+      
+      if (messages.length === 0) {
+        logger.debug('FirestoreMessageService', 'Message not found in Firestore for delivery status update', { 
+          conversationId,
+          whatsappMessageId
+        });
+        return null;
+      }
+
+      const updateData = MongoToFirestoreTransformer.cleanForFirestore(
+        MongoToFirestoreTransformer.transformDeliveryStatus(mongoMessage)
+      );
+      updateData.updatedAt = firestoreConfig.serverTimestamp();
+
+      // Update each matching message (should typically be just one)
+      const updatedIds = await Promise.all(messages.map(async (message) => {
+        const messageDocRef = firestoreConfig.getMessageDocRef(conversationId, message.id);
+        await messageDocRef.update(updateData);
+        return message.id;
+      }));
+
+      logger.success('FirestoreMessageService', 'Message delivery status updated in Firestore', { 
+        conversationId,
+        whatsappMessageId,
+        updatedCount: updatedIds.length,
+        deliveryStatus: mongoMessage.deliveryStatus
+      });
+
+      return { 
+        success: true, 
+        conversationId, 
+        whatsappMessageId, 
+        updatedCount: updatedIds.length,
+        deliveryStatus: mongoMessage.deliveryStatus
+      };
+
+    } catch (error) {
+      logger.warn('FirestoreMessageService', `Failed to update message delivery status: ${error.message}`, error);
+      return null;
+    }
+  }
 }
 
 // Create singleton instance
@@ -316,6 +316,59 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Move a user document and its messages subcollection to a new WhatsApp ID
+   * @param {string} oldWhatsappId - Current document ID
+   * @param {string} newWhatsappId - New document ID
+   * @param {Object} userData - Firestore user data for the new document
+   * @param {Function} transformMessage - Optional mapper for each message document (e.g. media path rewrite)
+   */
+  async migrateUser(oldWhatsappId, newWhatsappId, userData, transformMessage = (messageData) => messageData) {
+    try {
+      if (!this.isReady()) {
+        logger.debug('FirestoreService', 'Service not ready, skipping user migration');
+        return null;
+      }
+
+      logger.database('FIRESTORE_MIGRATE_USER', 'User+Messages', { oldWhatsappId, newWhatsappId });
+
+      // User document first so the dashboard finds the user under the new ID straight away
+      await firestoreConfig.getUserDocRef(newWhatsappId).set(userData, { merge: true });
+
+      // Copy messages keeping their document IDs, in chunks below the 500 writes per batch limit
+      const oldMessagesRef = firestoreConfig.getUserMessagesCollectionRef(oldWhatsappId);
+      const newMessagesRef = firestoreConfig.getUserMessagesCollectionRef(newWhatsappId);
+      const messagesSnapshot = await oldMessagesRef.get();
+      const messageDocs = messagesSnapshot.docs;
+      const chunkSize = 200; // Two writes (set + delete) per message
+
+      for (let i = 0; i < messageDocs.length; i += chunkSize) {
+        const batch = firestoreConfig.batch();
+
+        messageDocs.slice(i, i + chunkSize).forEach(doc => {
+          batch.set(newMessagesRef.doc(doc.id), transformMessage(doc.data()));
+          batch.delete(doc.ref);
+        });
+
+        await batch.commit();
+      }
+
+      await firestoreConfig.getUserDocRef(oldWhatsappId).delete();
+
+      logger.success('FirestoreService', 'User and messages migrated successfully', { 
+        oldWhatsappId,
+        newWhatsappId,
+        migratedMessages: messageDocs.length
+      });
+
+      return { success: true, oldWhatsappId, newWhatsappId, migratedMessages: messageDocs.length };
+
+    } catch (error) {
+      logger.error('FirestoreService', `Failed to migrate user: ${error.message}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Batch operations for better performance
    */
@@ -0,0 +1,186 @@
+/**
+ * Graph API Client
+ * Single place that talks to the WhatsApp Cloud (Graph) API: builds versioned URLs from
+ * config, adds the auth header, retries 5xx and throttling responses with backoff and
+ * tags failures with a constants.ERROR_CODES value. Message sends (POST .../messages) are not
+ * idempotent: they are only retried when Graph certainly did not accept the message.
+ *
+ * Requests go through the global axios instance so interceptors installed elsewhere
+ * (the development simulator) still apply. WHATSAPP_GRAPH_BASE_URL points the client at
+ * a local mock Graph server.
+ *
+ * Paths and credentials belong to the current channel (utils/channelRegistry) unless a
+ * channel is passed explicitly.
+ */
+
+const axios = require('axios');
+const dotenv = require('dotenv');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+const channelRegistry = require('../utils/channelRegistry');
+
+dotenv.config();
+
+const GRAPH_API = constants.GRAPH_API;
+
+class GraphApiClient {
+
+  /**
+   * Versioned URL for a Graph path (absolute URLs, e.g. media download links, pass through)
+   * @param {string} path - e.g. '123456/messages'
+   * @returns {string} - Full URL
+   */
+  buildUrl(path) {
+    if (/^https?:\/\//i.test(path)) {
+      return path;
+    }
+    return `${GRAPH_API.BASE_URL}/${GRAPH_API.VERSION}/${path.replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Path of the messages endpoint for a channel's business phone number
+   */
+  messagesPath(channel = channelRegistry.current()) {
+    return `${channel.phoneNumberId}/messages`;
+  }
+
+  /**
+   * Path of the media upload endpoint for a channel's business phone number
+   */
+  mediaPath(channel = channelRegistry.current()) {
+    return `${channel.phoneNumberId}/media`;
+  }
+
+  /**
+   * POST JSON (or FormData) to a Graph path
+   * @returns {Promise<Object>} - Response body
+   */
+  async post(path, data, options = {}) {
+    const response = await this.request({ ...options, method: 'post', path, data });
+    return response.data;
+  }
+
+  /**
+   * GET a Graph path
+   * @returns {Promise<Object>} - Response body
+   */
+  async get(path, options = {}) {
+    const response = await this.request({ ...options, method: 'get', path });
+    return response.data;
+  }
+
+  /**
+   * Send a request, retrying 5xx and throttling responses
+   * @param {Object} params - { method, path, data, headers, maxRetries, channel, ...axios options }
+   * @returns {Promise<Object>} - axios response
+   * @throws {Error} - axios error with code, graphError and retryable added
+   */
+  async request({
+    method, path, data, headers = {}, maxRetries = GRAPH_API.MAX_RETRIES,
+    channel = channelRegistry.current(), ...axiosOptions
+  }) {
+    const url = this.buildUrl(path);
+    const isSend = method.toLowerCase() === 'post' && /\/messages$/.test(url);
+    const isFormData = typeof FormData !== 'undefined' && data instanceof FormData;
+    const config = {
+      timeout: GRAPH_API.TIMEOUT,
+      ...axiosOptions,
+      method,
+      url,
+      data,
+      headers: {
+        'Authorization': `Bearer ${channel.accessToken}`,
+        ...(data && !isFormData ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      }
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await axios.request(config);
+      } catch (error) {
+        this.classifyError(error, isSend);
+
+        if (!error.retryable || attempt > maxRetries) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        logger.warn('GraphApiClient', 'Graph API request failed - retrying', {
+          method: method.toUpperCase(),
+          path,
+          status: error.response?.status || null,
+          graphCode: error.graphError?.code || null,
+          attempt,
+          delayMs: delay
+        });
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Tag an axios error with the Graph error details and a constants.ERROR_CODES code
+   * @param {Error} error - axios error (modified in place)
+   * @param {boolean} isSend - Message send: a 5xx or timeout may have delivered it, so only
+   *                           throttling, connection and not-accepted errors are retryable
+   * @returns {Error} - The same error
+   */
+  classifyError(error, isSend = false) {
+    const status = error.response?.status || null;
+    const graphError = error.response?.data?.error || null;
+    const graphCode = graphError?.code;
+
+    error.graphError = graphError ? {
+      code: graphCode,
+      subcode: graphError.error_subcode || null,
+      message: graphError.message || null,
+      fbtraceId: graphError.fbtrace_id || null
+    } : null;
+
+    if (graphCode === constants.CUSTOMER_SERVICE_WINDOW.GRAPH_ERROR_CODE) {
+      error.code = constants.ERROR_CODES.WHATSAPP_OUTSIDE_SERVICE_WINDOW;
+    } else if (GRAPH_API.INVALID_RECIPIENT_ERROR_CODES.includes(graphCode)) {
+      error.code = constants.ERROR_CODES.WHATSAPP_INVALID_RECIPIENT;
+    } else if (status === 429 || GRAPH_API.THROTTLING_ERROR_CODES.includes(graphCode)) {
+      error.code = constants.ERROR_CODES.WHATSAPP_RATE_LIMITED;
+    } else if (status) {
+      error.code = constants.ERROR_CODES.WHATSAPP_API_ERROR;
+    }
+
+    const isRateLimited = error.code === constants.ERROR_CODES.WHATSAPP_RATE_LIMITED;
+
+    if (isSend) {
+      error.retryable = isRateLimited ||
+        GRAPH_API.SEND_RETRYABLE_ERROR_CODES.includes(graphCode) ||
+        (!status && GRAPH_API.CONNECT_ERROR_CODES.includes(error.code));
+    } else {
+      error.retryable = isRateLimited || GRAPH_API.RETRYABLE_STATUS.includes(status);
+    }
+
+    return error;
+  }
+
+  /**
+   * Exponential backoff with jitter; a Retry-After header wins when present
+   */
+  getRetryDelay(attempt, error) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, GRAPH_API.MAX_RETRY_DELAY);
+    }
+
+    const backoff = GRAPH_API.RETRY_DELAY * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * GRAPH_API.RETRY_DELAY;
+    return Math.min(backoff + jitter, GRAPH_API.MAX_RETRY_DELAY);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Create singleton instance
+const graphApiClient = new GraphApiClient();
+
+module.exports = graphApiClient;
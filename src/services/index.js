@@ -10,6 +10,17 @@ const mediaService = require('./mediaService');
 const conversationControlService = require('./conversationControlService');
 const reactionService = require('./reactionService');
 const whatsappStatusService = require('./whatsappStatusService');
+const webhookQueueService = require('./webhookQueueService');
+const messageLedgerService = require('./messageLedgerService');
+const userLockService = require('./userLockService');
+const interactiveReplyService = require('./interactiveReplyService');
+const userMigrationService = require('./userMigrationService');
+const whatsappSimulatorService = require('./whatsappSimulatorService');
+const outboundMediaService = require('./outboundMediaService');
+const templateMessageService = require('./templateMessageService');
+const interactiveMessageService = require('./interactiveMessageService');
+const graphApiClient = require('./graphApiClient');
+const outboundGovernorService = require('./outboundGovernorService');
 
 module.exports = {
   databaseService,
@@ -18,5 +29,16 @@ module.exports = {
   mediaService,
   conversationControlService,
   reactionService,
-  whatsappStatusService
+  whatsappStatusService,
+  webhookQueueService,
+  messageLedgerService,
+  userLockService,
+  interactiveReplyService,
+  userMigrationService,
+  whatsappSimulatorService,
+  outboundMediaService,
+  templateMessageService,
+  interactiveMessageService,
+  graphApiClient,
+  outboundGovernorService
 };
\ No newline at end of file
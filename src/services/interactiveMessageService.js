@@ -0,0 +1,212 @@
+/**
+ * Interactive Message Service
+ * Turns the structured `interactive` payload of an AI `response_complete` event into a
+ * WhatsApp reply-button or list message, and renders the same options as readable text
+ * (stored as textContent and used as the plain-text fallback).
+ *
+ * AI payload:
+ *   { type: 'button', body?, header?, footer?, buttons: [{ id?, title }] }
+ *   { type: 'list', body?, header?, footer?, button?, sections: [{ title?, rows: [{ id?, title, description? }] }] }
+ */
+
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+const LIMITS = constants.INTERACTIVE_MESSAGE;
+
+class InteractiveMessageService {
+
+  /**
+   * Validate an AI payload and fit it into WhatsApp limits
+   * More than MAX_BUTTONS buttons become a single-section list
+   * @param {Object} payload - Structured payload from the AI
+   * @param {string} fallbackBody - Body text when the payload has none (the AI text reply)
+   * @returns {Object|null} - Normalized spec, or null when the payload cannot be sent natively
+   */
+  normalize(payload, fallbackBody = '') {
+    if (!payload || typeof payload !== 'object') {
+      return null;
+    }
+
+    const body = this.truncate(payload.body || fallbackBody, LIMITS.BODY_LENGTH);
+    if (!body) {
+      logger.warn('InteractiveMessageService', 'Interactive payload without body text - using plain text');
+      return null;
+    }
+
+    const spec = {
+      body,
+      header: payload.header ? this.truncate(payload.header, LIMITS.HEADER_LENGTH) : null,
+      footer: payload.footer ? this.truncate(payload.footer, LIMITS.FOOTER_LENGTH) : null
+    };
+
+    if (payload.type === 'button' && Array.isArray(payload.buttons)) {
+      const options = payload.buttons.filter(button => button && button.title);
+
+      if (options.length > 0 && options.length <= LIMITS.MAX_BUTTONS) {
+        return {
+          ...spec,
+          type: 'button',
+          buttons: options.map((button, i) => ({
+            id: this.truncate(String(button.id || `option_${i + 1}`), LIMITS.ID_LENGTH),
+            title: this.truncate(button.title, LIMITS.BUTTON_TITLE_LENGTH)
+          }))
+        };
+      }
+
+      // Too many buttons - offer them as a list instead
+      return this.normalizeList({ ...spec, sections: [{ rows: options }] }, payload.button);
+    }
+
+    if (payload.type === 'list' && Array.isArray(payload.sections)) {
+      return this.normalizeList({ ...spec, sections: payload.sections }, payload.button);
+    }
+
+    logger.warn('InteractiveMessageService', 'Unsupported interactive payload - using plain text', {
+      type: payload.type
+    });
+    return null;
+  }
+
+  /**
+   * Normalize a list spec (rows without a title are dropped)
+   */
+  normalizeList(spec, buttonText) {
+    let rowIndex = 0;
+    const sections = spec.sections
+      .slice(0, LIMITS.MAX_LIST_SECTIONS)
+      .map(section => ({
+        title: section?.title ? this.truncate(section.title, LIMITS.SECTION_TITLE_LENGTH) : null,
+        rows: (section?.rows || [])
+          .filter(row => row && row.title)
+          .map(row => {
+            rowIndex += 1;
+            return {
+              id: this.truncate(String(row.id || `option_${rowIndex}`), LIMITS.ID_LENGTH),
+              title: this.truncate(row.title, LIMITS.ROW_TITLE_LENGTH),
+              description: row.description ? this.truncate(row.description, LIMITS.ROW_DESCRIPTION_LENGTH) : null
+            };
+          })
+      }))
+      .filter(section => section.rows.length > 0);
+
+    if (rowIndex === 0 || rowIndex > LIMITS.MAX_LIST_ROWS) {
+      logger.warn('InteractiveMessageService', 'List payload outside WhatsApp limits - using plain text', {
+        rowCount: rowIndex
+      });
+      return null;
+    }
+
+    // WhatsApp requires section titles once there is more than one section
+    if (sections.length > 1) {
+      sections.forEach((section, i) => {
+        section.title = section.title || `Options ${i + 1}`;
+      });
+    }
+
+    return {
+      type: 'list',
+      body: spec.body,
+      header: spec.header,
+      footer: spec.footer,
+      button: this.truncate(buttonText || LIMITS.DEFAULT_LIST_BUTTON, LIMITS.LIST_BUTTON_LENGTH),
+      sections
+    };
+  }
+
+  /**
+   * Build the Graph API `interactive` object for a normalized spec
+   */
+  buildGraphInteractive(spec) {
+    const interactive = {
+      type: spec.type,
+      body: { text: spec.body }
+    };
+
+    if (spec.header) {
+      interactive.header = { type: 'text', text: spec.header };
+    }
+
+    if (spec.footer) {
+      interactive.footer = { text: spec.footer };
+    }
+
+    if (spec.type === 'button') {
+      interactive.action = {
+        buttons: spec.buttons.map(button => ({
+          type: 'reply',
+          reply: { id: button.id, title: button.title }
+        }))
+      };
+    } else {
+      interactive.action = {
+        button: spec.button,
+        sections: spec.sections.map(section => {
+          const graphSection = {
+            rows: section.rows.map(row => {
+              const graphRow = { id: row.id, title: row.title };
+              if (row.description) {
+                graphRow.description = row.description;
+              }
+              return graphRow;
+            })
+          };
+          if (section.title) {
+            graphSection.title = section.title;
+          }
+          return graphSection;
+        })
+      };
+    }
+
+    return interactive;
+  }
+
+  /**
+   * Readable rendering of a normalized spec
+   * e.g. "Which time suits you?\n\n1. Morning\n2. Evening"
+   */
+  renderText(spec) {
+    const lines = [];
+
+    if (spec.header) {
+      lines.push(spec.header, '');
+    }
+
+    lines.push(spec.body, '');
+
+    if (spec.type === 'button') {
+      spec.buttons.forEach((button, i) => lines.push(`${i + 1}. ${button.title}`));
+    } else {
+      let number = 0;
+      spec.sections.forEach(section => {
+        if (section.title && spec.sections.length > 1) {
+          lines.push(`${section.title}:`);
+        }
+        section.rows.forEach(row => {
+          number += 1;
+          lines.push(row.description ? `${number}. ${row.title} - ${row.description}` : `${number}. ${row.title}`);
+        });
+      });
+    }
+
+    if (spec.footer) {
+      lines.push('', spec.footer);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Trim and cut a string to a maximum length
+   */
+  truncate(value, maxLength) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+  }
+}
+
+// Create singleton instance
+const interactiveMessageService = new InteractiveMessageService();
+
+module.exports = interactiveMessageService;
@@ -0,0 +1,76 @@
+/**
+ * Interactive Reply Service
+ * Registry of handlers for inbound button/list replies, matched on the reply id.
+ * Replies without a handler are answered by the AI like a typed text message.
+ */
+
+const logger = require('../utils/logger');
+
+class InteractiveReplyService {
+  constructor() {
+    this.handlers = []; // [{ matcher: string|RegExp, handler }]
+  }
+
+  /**
+   * Register a handler for reply ids
+   * @param {string|RegExp} matcher - Exact reply id or pattern
+   * @param {Function} handler - async (messageObj, reply) => boolean; return false to fall back to the AI
+   */
+  register(matcher, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Interactive reply handler must be a function');
+    }
+
+    this.handlers.push({ matcher, handler });
+    logger.debug('InteractiveReplyService', 'Handler registered', { matcher: matcher.toString() });
+  }
+
+  /**
+   * Remove the handler(s) registered for a matcher
+   */
+  unregister(matcher) {
+    this.handlers = this.handlers.filter(entry => entry.matcher.toString() !== matcher.toString());
+  }
+
+  /**
+   * Find the first handler matching a reply id
+   */
+  getHandler(replyId) {
+    if (!replyId) {
+      return null;
+    }
+
+    const entry = this.handlers.find(({ matcher }) =>
+      matcher instanceof RegExp ? matcher.test(replyId) : matcher === replyId
+    );
+
+    return entry ? entry.handler : null;
+  }
+
+  /**
+   * Run the registered handler for an interactive reply message
+   * @returns {Promise<boolean>} - true if a handler took care of the reply
+   */
+  async handle(messageObj) {
+    const reply = messageObj.content?.reply;
+    const handler = this.getHandler(reply?.id);
+
+    if (!handler) {
+      return false;
+    }
+
+    logger.info('InteractiveReplyService', 'Routing interactive reply to registered handler', {
+      whatsappId: messageObj.from,
+      replyType: reply.replyType,
+      replyId: reply.id
+    });
+
+    const isHandled = await handler(messageObj, reply);
+    return isHandled !== false;
+  }
+}
+
+// Create singleton instance
+const interactiveReplyService = new InteractiveReplyService();
+
+module.exports = interactiveReplyService;
@@ -150,6 +150,30 @@ class PathGenerator {
     }
   }
   
+  /**
+   * Get the storage prefix holding all media of a user
+   * @param {string} whatsappId - WhatsApp ID
+   * @returns {string} - Prefix ending with '/'
+   */
+  static getUserPrefix(whatsappId) {
+    return `${constants.FIREBASE.MEDIA_PATH_PREFIX}/${this.sanitizePathComponent(whatsappId)}/`;
+  }
+  
+  /**
+   * Point a storage path or public URL at another user's media folder
+   * @param {string} value - Storage path or public URL
+   * @param {string} oldWhatsappId - Current WhatsApp ID in the path
+   * @param {string} newWhatsappId - Replacement WhatsApp ID
+   * @returns {string} - Rewritten value (unchanged if it is not under the old user's folder)
+   */
+  static replaceWhatsappId(value, oldWhatsappId, newWhatsappId) {
+    if (!value || typeof value !== 'string') {
+      return value;
+    }
+    
+    return value.replace(this.getUserPrefix(oldWhatsappId), this.getUserPrefix(newWhatsappId));
+  }
+  
   /**
    * Generate path for specific date range (useful for queries)
    * @param {string} whatsappId - WhatsApp ID
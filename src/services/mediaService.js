@@ -9,6 +9,7 @@ const logger = require('../utils/logger');
 const validator = require('../utils/validators');
 const constants = require('../utils/constants');
 const MediaProcessor = require('./mediaProcessor');
+const PathGenerator = require('./media/PathGenerator');
 const path = require('path');
 
 class MediaService {
@@ -402,6 +403,47 @@ class MediaService {
   }
 
 
+  /**
+   * Move all media of a user to another user's folder (WhatsApp number change)
+   * @param {string} oldWhatsappId - Current owner of the files
+   * @param {string} newWhatsappId - New owner
+   * @returns {Object} - { movedCount, oldPrefix, newPrefix }
+   */
+  async moveUserMediaFiles(oldWhatsappId, newWhatsappId) {
+    try {
+      if (!this.bucket) {
+        this.initialize();
+      }
+
+      validator.validateWhatsappId(oldWhatsappId);
+      validator.validateWhatsappId(newWhatsappId);
+
+      const oldPrefix = PathGenerator.getUserPrefix(oldWhatsappId);
+      const newPrefix = PathGenerator.getUserPrefix(newWhatsappId);
+
+      logger.media('MOVE_START', oldPrefix, null, { newPrefix });
+
+      const [files] = await this.bucket.getFiles({ prefix: oldPrefix });
+
+      for (const file of files) {
+        const newPath = PathGenerator.replaceWhatsappId(file.name, oldWhatsappId, newWhatsappId);
+        const [movedFile] = await file.move(newPath);
+
+        // Copies do not inherit the object ACL of the original
+        if (constants.FIREBASE.PUBLIC_ACCESS) {
+          await movedFile.makePublic();
+        }
+      }
+
+      logger.media('MOVE_SUCCESS', oldPrefix, null, { newPrefix, movedCount: files.length });
+
+      return { movedCount: files.length, oldPrefix, newPrefix };
+
+    } catch (error) {
+      logger.error('MediaService', `Failed to move user media files: ${error.message}`, error);
+      throw error;
+    }
+  }
 
   /**
    * Determine media type from MIME type
@@ -0,0 +1,154 @@
+/**
+ * Message Aggregator Service
+ * Collects consecutive inbound text messages per user for a short window so a thought typed
+ * across several WhatsApp messages reaches the AI as one request and gets one reply.
+ * Buffers are in-process; each message is still stored individually before it is buffered.
+ */
+
+const whatsappStatusService = require('./whatsappStatusService');
+const userLockService = require('./userLockService');
+const channelRegistry = require('../utils/channelRegistry');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+const AGGREGATION = constants.MESSAGE_AGGREGATION;
+
+class MessageAggregatorService {
+  constructor() {
+    this.windowMs = AGGREGATION.WINDOW_MS;
+    this.pending = new Map(); // channel-scoped whatsappId -> { messages, handler, waiters, timer, typingTimer, startedAt }
+  }
+
+  /**
+   * Check whether aggregation is enabled
+   */
+  isEnabled() {
+    return this.windowMs > 0;
+  }
+
+  /**
+   * Buffer a text message until the user stops typing
+   * @param {Object} messageObj - Processed inbound message object
+   * @param {Function} handler - Called with the buffered messages once the window closes
+   * @returns {Promise<*>} - Settles once the batch containing this message has been handled
+   */
+  add(messageObj, handler) {
+    const whatsappId = messageObj.from;
+    const key = channelRegistry.scopeId(whatsappId);
+    let entry = this.pending.get(key);
+
+    if (!entry) {
+      entry = {
+        messages: [],
+        handler,
+        waiters: [],
+        timer: null,
+        typingTimer: null,
+        startedAt: Date.now()
+      };
+      this.pending.set(key, entry);
+
+      // Keep the typing indicator on while we wait for more messages
+      entry.typingTimer = setInterval(() => {
+        const lastMessage = entry.messages[entry.messages.length - 1];
+        whatsappStatusService.markMessageAsReadAndShowTyping(lastMessage.messageId, whatsappId)
+          .catch(error => {
+            logger.warn('MessageAggregatorService', 'Failed to refresh typing indicator', {
+              whatsappId,
+              error: error.message
+            });
+          });
+      }, AGGREGATION.TYPING_REFRESH_INTERVAL);
+    }
+
+    entry.messages.push(messageObj);
+    entry.handler = handler;
+
+    // Sliding window, capped so a steady stream of messages is still answered
+    const remainingWait = AGGREGATION.MAX_WAIT_MS - (Date.now() - entry.startedAt);
+    const delay = Math.max(Math.min(this.windowMs, remainingWait), 0);
+
+    // The batch adding the message holds the user lock; the timer must not inherit it, so a flush
+    // firing while that batch is still running waits for the lock
+    clearTimeout(entry.timer);
+    entry.timer = userLockService.runOutsideLocks(() => setTimeout(() => {
+      this.flush(whatsappId, { acquireLock: true }).catch(error => {
+        logger.error('MessageAggregatorService', `Aggregated message flush failed: ${error.message}`, error);
+      });
+    }, delay));
+
+    logger.debug('MessageAggregatorService', 'Message buffered', {
+      whatsappId,
+      bufferedCount: entry.messages.length,
+      flushInMs: delay
+    });
+
+    return new Promise((resolve, reject) => {
+      entry.waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Hand buffered messages to their handler now
+   * @param {string} whatsappId - User's WhatsApp ID
+   * @param {Object} options - acquireLock: take the per-user lock (false when the caller already holds it)
+   */
+  async flush(whatsappId, { acquireLock = false } = {}) {
+    const key = channelRegistry.scopeId(whatsappId);
+    const entry = this.pending.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    this.pending.delete(key);
+    clearTimeout(entry.timer);
+    clearInterval(entry.typingTimer);
+
+    logger.info('MessageAggregatorService', 'Flushing aggregated messages', {
+      whatsappId,
+      messageCount: entry.messages.length
+    });
+
+    const run = () => entry.handler(entry.messages);
+
+    try {
+      const result = acquireLock ?
+        await userLockService.withUserLock(key, run) : await run();
+
+      entry.waiters.forEach(waiter => waiter.resolve(result));
+      return result;
+
+    } catch (error) {
+      entry.waiters.forEach(waiter => waiter.reject(error));
+      throw error;
+    }
+  }
+
+  /**
+   * Combine buffered messages into a single message object for the AI
+   * The latest message is kept as the base so replies and audits refer to it
+   */
+  mergeMessages(messages) {
+    const latest = messages[messages.length - 1];
+
+    if (messages.length === 1) {
+      return latest;
+    }
+
+    return {
+      ...latest,
+      content: {
+        ...latest.content,
+        text: messages.map(message => message.content.text.trim()).join(AGGREGATION.SEPARATOR)
+      },
+      mergedMessageIds: messages.map(message => message.messageId),
+      replyTo: latest.replyTo || messages.find(message => message.replyTo)?.replyTo
+    };
+  }
+}
+
+// Create singleton instance
+const messageAggregatorService = new MessageAggregatorService();
+
+module.exports = messageAggregatorService;
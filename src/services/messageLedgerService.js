@@ -0,0 +1,103 @@
+/**
+ * Message Ledger Service
+ * Guards inbound processing against Meta redelivering the same WhatsApp message ID
+ * A message is claimed before any side effect; repeats of a processed message are logged and dropped,
+ * repeats of one still being processed wait for that claim (it may belong to a crashed worker)
+ */
+
+const { ProcessedMessage } = require('../models');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+const LEDGER = constants.MESSAGE_LEDGER;
+
+class MessageLedgerService {
+  constructor() {
+    this.modelName = 'ProcessedMessage';
+  }
+
+  /**
+   * Claim an inbound message for processing
+   * @param {Object} message - Message object from the webhook payload
+   * @returns {Promise<boolean>} - false if the message was already processed
+   * @throws {Error} - MESSAGE_CLAIM_IN_PROGRESS while another claim is live (the worker holding it
+   *                   may have crashed), with retryAfterMs set to when that claim goes stale
+   */
+  async claimMessage(message) {
+    try {
+      const isClaimed = await ProcessedMessage.claim(message.id, {
+        whatsappId: message.from,
+        messageType: message.type
+      });
+
+      if (!isClaimed) {
+        const entry = await ProcessedMessage.findOne({ whatsappMessageId: message.id }).lean();
+
+        if (entry?.status === LEDGER.STATUS.PROCESSING) {
+          const error = new Error(`Message ${message.id} is already being processed`);
+          error.code = constants.ERROR_CODES.MESSAGE_CLAIM_IN_PROGRESS;
+          error.retryable = true;
+          error.retryAfterMs = Math.max(entry.claimedAt.getTime() + LEDGER.CLAIM_TIMEOUT - Date.now(), 0);
+          throw error;
+        }
+
+        logger.warn('MessageLedgerService', 'Duplicate delivery dropped', {
+          whatsappMessageId: message.id,
+          whatsappId: message.from,
+          messageType: message.type
+        });
+        return false;
+      }
+
+      logger.database('CLAIM', this.modelName, { whatsappMessageId: message.id });
+      return true;
+
+    } catch (error) {
+      if (error.code === constants.ERROR_CODES.MESSAGE_CLAIM_IN_PROGRESS) {
+        logger.warn('MessageLedgerService', 'Message claimed by another attempt - retrying later', {
+          whatsappMessageId: message.id,
+          retryAfterMs: error.retryAfterMs
+        });
+        throw error;
+      }
+      logger.error('MessageLedgerService', `Failed to claim message: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a claimed message finished processing
+   */
+  async markCompleted(whatsappMessageId) {
+    try {
+      await ProcessedMessage.markCompleted(whatsappMessageId);
+      logger.database('COMPLETE', this.modelName, { whatsappMessageId });
+    } catch (error) {
+      // The entry stays claimed, so repeats are retried until the claim timeout
+      logger.warn('MessageLedgerService', 'Failed to mark message as completed', {
+        whatsappMessageId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Release an unfinished claim so the webhook job retry can process the message
+   */
+  async releaseMessage(whatsappMessageId) {
+    try {
+      await ProcessedMessage.release(whatsappMessageId);
+      logger.database('RELEASE', this.modelName, { whatsappMessageId });
+    } catch (error) {
+      logger.warn('MessageLedgerService', 'Failed to release message claim', {
+        whatsappMessageId,
+        error: error.message
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const messageLedgerService = new MessageLedgerService();
+
+module.exports = messageLedgerService;
@@ -5,6 +5,20 @@ const MediaProcessor = require('./mediaProcessor');
 const LocationService = require('./locationService');
 const aiService = require('./aiService');
 const ReactionService = require('./reactionService');
+const messageLedgerService = require('./messageLedgerService');
+const MessageStatusService = require('./messageStatusService');
+const userLockService = require('./userLockService');
+const messageAggregatorService = require('./messageAggregatorService');
+const interactiveReplyService = require('./interactiveReplyService');
+const userMigrationService = require('./userMigrationService');
+const outboundMediaService = require('./outboundMediaService');
+const interactiveMessageService = require('./interactiveMessageService');
+const conversationControlService = require('./conversationControlService');
+const transcriptionService = require('./transcriptionService');
+const MessageSplitter = require('../utils/messageSplitter');
+const ParagraphStreamBuffer = require('../utils/paragraphStreamBuffer');
+const WhatsAppFormatter = require('../utils/whatsappFormatter');
+const channelRegistry = require('../utils/channelRegistry');
 const constants = require('../utils/constants');
 
 class MessageProcessor {
@@ -14,6 +28,28 @@ class MessageProcessor {
     }
     
     static async processIncomingMessage(messageData) {
+        // Everything below runs as the business number the webhook was sent to
+        const channel = channelRegistry.resolveInbound(messageData.metadata?.phone_number_id);
+        
+        return channelRegistry.run(channel, async () => {
+            // Serialize per sender so replies go out in the order messages arrived;
+            // messages from different users still process concurrently
+            const whatsappIds = (messageData.messages || []).map(message => channelRegistry.scopeId(message.from));
+            
+            const pendingResponses = await userLockService.withUserLocks(
+                whatsappIds,
+                () => MessageProcessor.processMessageBatch(messageData)
+            );
+            
+            // Aggregated AI replies are sent once the window closes - wait outside the lock
+            // so the user's follow-up messages can still join the batch
+            if (pendingResponses && pendingResponses.length > 0) {
+                await Promise.allSettled(pendingResponses);
+            }
+        });
+    }
+    
+    static async processMessageBatch(messageData) {
         console.log('🚨 === MESSAGE PROCESSOR STARTED ===');
         // console.log('🔄 Processing incoming message...');
         // console.log('📦 Message data received:', JSON.stringify(messageData, null, 2));
@@ -22,6 +58,12 @@ class MessageProcessor {
         const processor = new MessageProcessor();
         // console.log('✅ MessageProcessor instance created');
         
+        // Message ID currently claimed in the de-duplication ledger
+        let claimedMessageId = null;
+        
+        // AI replies waiting for the aggregation window of their user
+        const pendingResponses = [];
+        
         try {
             // Extract message information
             const messages = messageData.messages || [];
@@ -31,11 +73,25 @@ class MessageProcessor {
             // console.log('📨 Messages array:', JSON.stringify(messages, null, 2));
             // console.log('👥 Contacts array:', JSON.stringify(contacts, null, 2));
             
+            // Delivery status updates (sent/delivered/read/failed) for our outbound messages
+            if (messageData.statuses && messageData.statuses.length > 0) {
+                console.log(`📬 Processing ${messageData.statuses.length} delivery status updates...`);
+                await MessageStatusService.processStatuses(messageData.statuses);
+            }
+            
             // Process each message
             for (const message of messages) {
                 console.log('🔄 === PROCESSING MESSAGE ===');
                 // console.log('📨 Current message:', JSON.stringify(message, null, 2));
                 
+                // Claim the message ID before any side effect - Meta redelivers the same ID on retries
+                // (a live claim of another attempt throws, so the job retries once that claim is stale)
+                const isClaimed = await messageLedgerService.claimMessage(message);
+                if (!isClaimed) {
+                    continue;
+                }
+                claimedMessageId = message.id;
+                
                 // ✅ STEP 1: IMMEDIATELY mark message as read and show typing indicator
                 // This provides instant user feedback before any processing
                 try {
@@ -72,6 +128,11 @@ class MessageProcessor {
                     } : null
                 };
                 
+                // User replied to a specific earlier message
+                if (message.context?.id) {
+                    messageObj.contextMessageId = message.context.id;
+                }
+                
                 // console.log('📋 Basic message object created:', JSON.stringify(messageObj, null, 2));
                 
                 // Extract message content based on type
@@ -146,6 +207,9 @@ class MessageProcessor {
                                 'inbound'
                             );
                             
+                            // Voice notes are transcribed so they can be read and answered like text
+                            await MessageProcessor.addTranscript(messageObj, downloadedMedia, mediaData);
+                            
                             // Store media info in message object
                             messageObj.media = {
                                 type: mediaData.type,
@@ -168,7 +232,8 @@ class MessageProcessor {
                         messageObj.content = {
                             mediaId: message.document?.id,
                             mimeType: message.document?.mime_type,
-                            filename: message.document?.filename
+                            filename: message.document?.filename,
+                            caption: message.document?.caption || ''
                         };
                         // console.log('📄 Document message content:', messageObj.content);
                         
@@ -264,6 +329,9 @@ class MessageProcessor {
                                 'inbound'
                             );
                             
+                            // Voice notes are transcribed so they can be read and answered like text
+                            await MessageProcessor.addTranscript(messageObj, downloadedMedia, mediaData);
+                            
                             // Store media info in message object
                             messageObj.media = {
                                 type: mediaData.type,
@@ -398,6 +466,64 @@ class MessageProcessor {
                         }
                         break;
                         
+                    case 'interactive': {
+                        // Button / list reply to an interactive message we sent
+                        const replyType = message.interactive?.type;
+                        const selection = message.interactive?.[replyType];
+                        
+                        if (replyType === constants.INTERACTIVE_REPLY_TYPES.BUTTON_REPLY ||
+                            replyType === constants.INTERACTIVE_REPLY_TYPES.LIST_REPLY) {
+                            messageObj.content = {
+                                text: selection?.title || '',
+                                reply: {
+                                    replyType,
+                                    id: selection?.id,
+                                    title: selection?.title,
+                                    description: selection?.description
+                                }
+                            };
+                        } else {
+                            messageObj.content = { raw: message };
+                        }
+                        // console.log('🔘 Interactive reply content:', messageObj.content);
+                        break;
+                    }
+                        
+                    case 'button':
+                        // Quick-reply button of a template message
+                        messageObj.content = {
+                            text: message.button?.text || '',
+                            reply: {
+                                replyType: constants.INTERACTIVE_REPLY_TYPES.BUTTON,
+                                id: message.button?.payload,
+                                title: message.button?.text
+                            }
+                        };
+                        // console.log('🔘 Button reply content:', messageObj.content);
+                        break;
+                        
+                    case 'system':
+                        messageObj.content = {
+                            text: message.system?.body || '',
+                            systemType: message.system?.type,
+                            newWhatsappId: message.system?.new_wa_id || message.system?.wa_id
+                        };
+                        
+                        if (messageObj.content.systemType === 'user_changed_number' && messageObj.content.newWhatsappId) {
+                            console.log(`📱 User changed number: ${message.from} -> ${messageObj.content.newWhatsappId}`);
+                            // Errors propagate so the webhook job is retried
+                            await userMigrationService.migrateWhatsappId(message.from, messageObj.content.newWhatsappId);
+                            console.log('✅ User records migrated to new WhatsApp ID');
+                        } else {
+                            console.log(`ℹ️ Ignoring system message of type: ${messageObj.content.systemType}`);
+                        }
+                        
+                        await messageLedgerService.markCompleted(message.id);
+                        claimedMessageId = null;
+                        
+                        // System messages are not stored as conversation messages
+                        continue;
+                        
                     case 'reaction':
                         console.log('🎯 Reaction message detected, processing...');
                         // Process reaction using ReactionService
@@ -408,9 +534,12 @@ class MessageProcessor {
                             console.error('❌ Reaction processing failed:', error.message);
                         }
                         
+                        await messageLedgerService.markCompleted(message.id);
+                        claimedMessageId = null;
+                        
                         // Return early for reactions - no need to store as regular message
                         console.log('🚨 === REACTION PROCESSING COMPLETE ===\n');
-                        return;
+                        return pendingResponses;
                         
                     default:
                         messageObj.content = { raw: message };
@@ -454,7 +583,8 @@ class MessageProcessor {
                             if (mediaProcessingError) {
                                 textContent = '[AUDIO] Voice message - Processing failed: ' + mediaProcessingError;
                             } else {
-                                textContent = '[AUDIO] Voice message';
+                                textContent = messageObj.content?.transcript ?
+                                    `[AUDIO] ${messageObj.content.transcript}` : '[AUDIO] Voice message';
                             }
                             break;
                         case 'video':
@@ -468,7 +598,8 @@ class MessageProcessor {
                             if (mediaProcessingError) {
                                 textContent = '[VOICE] Voice note - Processing failed: ' + mediaProcessingError;
                             } else {
-                                textContent = '[VOICE] Voice note';
+                                textContent = messageObj.content?.transcript ?
+                                    `[VOICE] ${messageObj.content.transcript}` : '[VOICE] Voice note';
                             }
                             break;
                         case 'document':
@@ -501,6 +632,10 @@ class MessageProcessor {
                                 textContent = `[CONTACT] ${contactCount} contact${contactCount > 1 ? 's' : ''}`;
                             }
                             break;
+                        case 'interactive':
+                        case 'button':
+                            textContent = messageObj.content?.text || `[${messageObj.type.toUpperCase()}] Reply`;
+                            break;
                         default:
                             textContent = `[${messageObj.type.toUpperCase()}] Media message`;
                     }
@@ -513,6 +648,20 @@ class MessageProcessor {
                         phoneNumber: messageObj.from // Use whatsappId as phone number
                     };
                     
+                    // Keep the selected button / list row structurally
+                    if (messageObj.content?.reply) {
+                        messageData.interactiveReply = messageObj.content.reply;
+                    }
+                    
+                    // Resolve the quoted message so the NOC and the AI know what is being replied to
+                    if (messageObj.contextMessageId) {
+                        messageObj.replyTo = await databaseService.conversationService.resolveReplyTo(
+                            messageObj.contextMessageId,
+                            messageObj.from
+                        );
+                        messageData.replyTo = messageObj.replyTo;
+                    }
+                    
                     // Add enhanced media information if processing was successful
                     if (messageObj.media) {
                         messageData.mediaUrl = messageObj.media.url;
@@ -568,8 +717,20 @@ class MessageProcessor {
                     // Continue processing even if DB fails
                 }
                 
-                // Process ALL text messages - use PRE-CHECKED user existence flag
-                if (messageObj.type === 'text' && messageObj.content.text.trim()) {
+                // Answer any buffered text messages before replying to a non-text message
+                if (messageObj.type !== 'text') {
+                    await messageAggregatorService.flush(messageObj.from);
+                }
+                
+                // Set when the message waits in the aggregation buffer for its reply
+                let isBuffered = false;
+                
+                // Images, documents and locations go to the AI as attachments
+                messageObj.aiAttachment = MessageProcessor.buildAIAttachment(messageObj);
+                
+                // Process ALL text messages (and button/list replies, transcribed voice notes, AI attachments) - use PRE-CHECKED user existence flag
+                if ((MessageProcessor.isTextLike(messageObj) && messageObj.content.text.trim()) ||
+                    messageObj.content?.transcript || messageObj.aiAttachment) {
                     // DEBUG: Log decision making process using PRE-CHECKED flag
                     // console.log('🔍 DEBUG - Text processing decision (using pre-checked flag):', {
                     //     hasResult: !!result,
@@ -583,6 +744,15 @@ class MessageProcessor {
                         if (isNewUser) {
                             // console.log('🆕 New user detected (pre-checked), sending welcome message...');
                             await processor.processWelcomeResponse(messageObj);
+                        } else if (messageObj.content.reply && await interactiveReplyService.handle(messageObj)) {
+                            console.log('🔘 Interactive reply handled by registered handler');
+                        } else if (messageAggregatorService.isEnabled() && messageObj.type === 'text') {
+                            // Buffer until the user stops typing - the merged text gets a single AI reply
+                            // (the ledger entry is completed by processAggregatedResponse once it is answered)
+                            pendingResponses.push(messageAggregatorService.add(messageObj, (messages) =>
+                                processor.processAggregatedResponse(messages)
+                            ));
+                            isBuffered = true;
                         } else {
                             // console.log('🤖 Existing user (pre-checked), triggering AI processing for text message...');
                             await processor.processAIResponse(messageObj);
@@ -593,37 +763,19 @@ class MessageProcessor {
                         // Fallback to AI if there's any error
                         await processor.processAIResponse(messageObj);
                     }
-                } else if (messageObj.type !== 'text') {
+                } else if (!MessageProcessor.isTextLike(messageObj)) {
                     // console.log(`📎 Non-text message received (${messageObj.type}), sending acknowledgment...`);
                     
-                    let acknowledgmentText;
-                    switch (messageObj.type) {
-                        case 'image':
-                            acknowledgmentText = "Processing media shared by you";
-                            break;
-                        case 'video':
-                            acknowledgmentText = "Processing media shared by you";
-                            break;
-                        case 'audio':
-                        case 'voice':
-                            acknowledgmentText = "Processing media shared by you";
-                            break;
-                        case 'document':
-                            acknowledgmentText = "Processing media shared by you";
-                            break;
-                        case 'sticker':
-                            acknowledgmentText = "Processing media shared by you";
-                            break;
-                        case 'location':
-                            acknowledgmentText = "Processing media shared by you";
-                            break;
-                        case 'contacts':
-                            acknowledgmentText = "Processing media shared by you";
-                            break;
-                        default:
-                            acknowledgmentText = "Processing media shared by you";
+                    // The LM answers media in HUMAN mode - no automatic acknowledgement then
+                    if (userExists?.conversationStatus === constants.CONVERSATION_STATUS.HUMAN) {
+                        console.log('👤 HUMAN mode active - no acknowledgment sent for media');
+                        await messageLedgerService.markCompleted(message.id);
+                        claimedMessageId = null;
+                        continue;
                     }
                     
+                    const acknowledgmentText = constants.AI_ATTACHMENTS.MEDIA_ACKNOWLEDGEMENT;
+                    
                     const whatsappResponse = await whatsappService.sendMessage(messageObj.from, acknowledgmentText);
                     // console.log('✅ Acknowledgment sent for non-text message');
                     
@@ -660,18 +812,127 @@ class MessageProcessor {
                 
                 // Send acknowledgment (optional)
                 // console.log(`✅ Message processed: ${messageObj.messageId}`);
+                if (!isBuffered) {
+                    await messageLedgerService.markCompleted(message.id);
+                }
+                claimedMessageId = null;
                 console.log('🚨 === MESSAGE PROCESSING COMPLETE ===\n');
             }
             
+            return pendingResponses;
+            
         } catch (error) {
             console.error('❌ === MESSAGE PROCESSOR ERROR ===');
             console.error('Error in message processing:', error);
             console.error('Error stack:', error.stack);
             console.error('❌ === END MESSAGE PROCESSOR ERROR ===');
+            
+            // Let the webhook job retry pick up the message that failed mid-way
+            if (claimedMessageId) {
+                await messageLedgerService.releaseMessage(claimedMessageId);
+            }
             throw error;
         }
     }
     
+    /**
+     * Text messages and button/list replies carry text the AI can answer
+     */
+    static isTextLike(messageObj) {
+        return typeof messageObj.content?.text === 'string' &&
+            (messageObj.type === 'text' || !!messageObj.content.reply);
+    }
+    
+    /**
+     * Transcribe a voice note; the result is kept in mediaData.metadata (stored and synced
+     * with the message) and the text in messageObj.content.transcript
+     * A failed transcription leaves the voice note as it was
+     * @param {Object} messageObj - Inbound audio / voice message
+     * @param {Object} downloadedMedia - { buffer, mimeType, filename }
+     * @param {Object} mediaData - MediaProcessor result (modified in place)
+     */
+    static async addTranscript(messageObj, downloadedMedia, mediaData) {
+        const transcription = await transcriptionService.transcribe(downloadedMedia, {
+            messageId: messageObj.messageId
+        });
+        if (!transcription) {
+            return;
+        }
+        
+        mediaData.metadata = {
+            ...mediaData.metadata,
+            transcript: transcription.text,
+            transcription: {
+                status: transcription.status,
+                provider: transcription.provider,
+                language: transcription.language,
+                processingTimeMs: transcription.processingTimeMs,
+                error: transcription.error
+            }
+        };
+        
+        if (transcription.text) {
+            messageObj.content.transcript = transcription.text;
+            console.log(`🎙️ Voice note transcribed (${transcription.text.length} chars)`);
+        }
+    }
+    
+    /**
+     * Attachment sent to the AI with an image, document or location message
+     * @param {Object} messageObj - Inbound message after media / location processing
+     * @returns {Object|null} - { type, url, mimeType, fileName, caption } or
+     *                          { type, latitude, longitude, name, address }; null when not forwarded
+     *                          (other types, or the media could not be stored)
+     */
+    static buildAIAttachment(messageObj) {
+        if (!constants.AI_ATTACHMENTS.FORWARDED_TYPES.includes(messageObj.type)) {
+            return null;
+        }
+        
+        if (messageObj.type === 'location') {
+            const { latitude, longitude } = messageObj.content || {};
+            if (!LocationService.validateCoordinates(latitude, longitude)) {
+                return null;
+            }
+            
+            // Geocoded address first, then what WhatsApp sent along
+            const metadata = messageObj.media?.metadata || {};
+            return {
+                type: constants.MEDIA_TYPES.LOCATION,
+                latitude: parseFloat(latitude),
+                longitude: parseFloat(longitude),
+                name: messageObj.content.name || metadata.name || null,
+                address: metadata.address || messageObj.content.address || null
+            };
+        }
+        
+        if (!messageObj.media?.url) {
+            return null;
+        }
+        
+        return {
+            type: messageObj.media.type,
+            url: messageObj.media.url,
+            mimeType: messageObj.media.mimeType,
+            fileName: messageObj.media.metadata?.originalFileName || messageObj.content?.filename || null,
+            caption: messageObj.content?.caption || null
+        };
+    }
+    
+    /**
+     * Text sent to the AI for a message: the transcript of a voice note as if typed,
+     * the caption (or a type label) of an attachment
+     */
+    static getAIMessageText(messageObj) {
+        if (typeof messageObj.content?.text === 'string') {
+            return messageObj.content.text;
+        }
+        if (messageObj.content?.transcript) {
+            return messageObj.content.transcript;
+        }
+        return messageObj.content?.caption || `[${messageObj.type.toUpperCase()}]`;
+    }
+    
     static shouldTriggerAI(messageObj) {
         // Now we process ALL text messages with AI
         if (messageObj.type === 'text') {
@@ -687,7 +948,7 @@ class MessageProcessor {
             console.log('👋 === WELCOME MESSAGE PROCESSING STARTED ===');
             // console.log('🆕 Sending welcome message to new user...');
             
-            const welcomeMessage = constants.WELCOME_MESSAGE.TEXT;
+            const welcomeMessage = channelRegistry.current().welcomeText;
             const whatsappResponse = await whatsappService.sendMessage(messageObj.from, welcomeMessage);
             
             console.log('✅ Welcome message sent via WhatsApp');
@@ -727,6 +988,18 @@ class MessageProcessor {
         }
     }
     
+    /**
+     * Answer messages buffered by messageAggregatorService with one AI reply, then complete
+     * their ledger entries. processAIResponse handles its own failures (fallback reply), so the
+     * entries are always completed once it returns; a crash before that leaves them claimed and
+     * the webhook job retry picks them up once the claim times out
+     * @param {Array<Object>} messages - Buffered message objects
+     */
+    async processAggregatedResponse(messages) {
+        await this.processAIResponse(messageAggregatorService.mergeMessages(messages));
+        await Promise.all(messages.map(message => messageLedgerService.markCompleted(message.messageId)));
+    }
+    
     async processAIResponse(messageObj) {
         try {
             console.log('🚨 === AI RESPONSE PROCESSING STARTED ===');
@@ -745,50 +1018,119 @@ class MessageProcessor {
             // Format phone number and get AI response
             const formattedPhone = this.aiService.formatPhoneNumber(whatsappId);
             
-            // ✅ Pass conversationStatus and direction as parameters
-            const aiResponse = await this.aiService.sendMessageToAI(
-                messageObj.content.text,
-                formattedPhone,
-                conversationStatus,
-                constants.MESSAGE_DIRECTION.INBOUND  // User message direction
-            );
+            const isAIMode = conversationStatus === constants.CONVERSATION_STATUS.AI;
+            
+            // Slow research answers stream for a long time - keep the typing indicator up meanwhile
+            const typing = isAIMode ?
+                whatsappStatusService.keepTyping(messageObj.messageId, whatsappId) : null;
+            
+            // Optionally send completed paragraphs while the AI is still writing
+            const progressive = isAIMode && constants.AI_STREAMING.PROGRESSIVE_ENABLED ?
+                this.createProgressiveSender(messageObj, typing) : null;
+            
+            let aiResult;
+            try {
+                // ✅ Pass conversationStatus and direction as parameters
+                aiResult = await this.aiService.getAIResponse(
+                    MessageProcessor.getAIMessageText(messageObj),
+                    formattedPhone,
+                    conversationStatus,
+                    constants.MESSAGE_DIRECTION.INBOUND,  // User message direction
+                    {
+                        replyTo: messageObj.replyTo,
+                        attachments: messageObj.aiAttachment ? [messageObj.aiAttachment] : [],
+                        onContent: progressive?.onContent
+                    }
+                );
+                
+                if (progressive) {
+                    await progressive.finish();
+                }
+            } finally {
+                typing?.stop();
+            }
+            
+            // The AI failed after paragraphs went out: finish the answer with the unsent streamed text
+            // rather than a fallback apology, and do not count it as an AI failure
+            const isPartialAnswer = !aiResult.ok && !!progressive?.hasFlushed();
+            if (isPartialAnswer) {
+                console.warn(`⚠️ AI stream failed (${aiResult.errorType}) after part of the reply was sent - sending the rest of the streamed text`);
+                aiResult = { ...aiResult, ok: true, content: progressive.unflushed(), errorType: null };
+            }
+            
+            // Paragraphs that already went out progressively are not sent again
+            const finalMarkdown = progressive && !isPartialAnswer ? progressive.remainder(aiResult.content) : aiResult.content;
+            
+            // The AI backend writes Markdown; WhatsApp has its own formatting syntax
+            const aiResponse = WhatsAppFormatter.fromMarkdown(finalMarkdown);
+            
+            // Options offered by the AI go out as native buttons / list; the rendering is what we store
+            const { leadingParts, interactive } = this.buildInteractiveReply(aiResponse, aiResult.interactive);
+            const responseText = interactive ? interactiveMessageService.renderText(interactive) : aiResponse;
             
             // console.log('✅ AI service returned response');
             console.log('🎯 AI Response ready:', aiResponse);
             
             // ✅ Only send message to user if status is AI
-            if (conversationStatus === constants.CONVERSATION_STATUS.AI) {
+            if (isAIMode) {
                 console.log('📤 Sending AI response to WhatsApp (AI mode)...');
                 
-                const whatsappResponse = await whatsappService.sendMessage(messageObj.from, aiResponse);
+                // The AI may react to the user's message (e.g. 👍) alongside its reply
+                if (aiResult.reaction && aiResult.reaction.emoji) {
+                    try {
+                        await ReactionService.sendReaction({
+                            to: messageObj.from,
+                            messageId: messageObj.messageId,
+                            emoji: aiResult.reaction.emoji,
+                            reactedBy: constants.SENDER_TYPES.AI
+                        });
+                    } catch (reactionError) {
+                        console.error('⚠️ AI reaction failed (non-critical):', reactionError.message);
+                    }
+                }
                 
-                // Store AI response in database
-                if (whatsappResponse && whatsappResponse.messages && whatsappResponse.messages[0]) {
-                    const aiMessageId = whatsappResponse.messages[0].id;
-                    // console.log('💾 Storing AI response in database...');
-                    
+                // Long text replies are split into parts that fit the WhatsApp limit
+                let parts = [];
+                if (interactive) {
+                    parts = [...leadingParts, responseText];
+                } else if (aiResponse) {
+                    parts = MessageSplitter.split(aiResponse);
+                }
+                
+                // Fallback texts are stored flagged, so they never pass for real AI answers
+                if (!aiResult.ok) {
+                    console.warn(`⚠️ AI unavailable (${aiResult.errorType} after ${aiResult.attempts} attempts) - sending fallback message`);
+                }
+                
+                // Repeated failures hand the user to the NOC instead of another apology
+                if (!aiResult.ok && aiResult.errorType !== constants.AI_SERVICE.ERROR_TYPES.EMPTY_RESPONSE) {
+                    if (await this.handleAIFailure(messageObj, aiResult.errorType)) {
+                        return;
+                    }
+                } else if (aiResult.ok && user?.aiFailures?.consecutiveCount > 0) {
                     try {
-                        const aiAuditData = {
-                            checkpointId: `ai_${Date.now()}`,
-                            processingTimeMs: Date.now() - new Date(messageObj.timestamp).getTime()
-                        };
-                        
-                        await databaseService.processOutgoingAiMessage(
-                            messageObj.from,
-                            {
-                                whatsappMessageId: aiMessageId,
-                                textContent: aiResponse,
-                                timestamp: new Date()
-                            },
-                            aiAuditData
-                        );
-                        
-                        console.log('✅ AI response stored in database successfully');
-                    } catch (dbError) {
-                        console.error('❌ Failed to store AI response in database:', dbError.message);
+                        await databaseService.userService.resetAiFailures(whatsappId);
+                    } catch (resetError) {
+                        console.error('⚠️ Failed to reset AI failure count:', resetError.message);
                     }
-                } else {
-                    console.error('⚠️ No message ID received from WhatsApp API for AI response');
+                }
+                
+                await this.sendAIReplyParts(messageObj, parts, {
+                    checkpointId: `ai_${Date.now()}`,
+                    processingTimeMs: Date.now() - new Date(messageObj.timestamp).getTime(),
+                    isFallback: !aiResult.ok,
+                    errorType: aiResult.errorType,
+                    attempts: aiResult.attempts
+                }, interactive);
+                
+                // Media attachments follow the text reply
+                if (aiResult.media && aiResult.media.length > 0) {
+                    await this.sendAIMedia(messageObj.from, aiResult.media);
+                }
+                
+                // The AI asked for a human - hand over once its reply went out
+                if (aiResult.handoff) {
+                    await this.handleAIHandoff(messageObj, aiResult.handoff, !!aiResult.content);
                 }
                 
             } else if (conversationStatus === constants.CONVERSATION_STATUS.HUMAN) {
@@ -805,10 +1147,11 @@ class MessageProcessor {
             console.error('Error stack:', error.stack);
             console.error('❌ === END AI RESPONSE ERROR ===');
             
-            // Send fallback message only in AI mode
+            // Send fallback message only in AI mode (or escalate once failures keep repeating)
             try {
                 const user = await databaseService.userService.findUserByWhatsappId(messageObj.from);
-                if (user?.conversationStatus === constants.CONVERSATION_STATUS.AI) {
+                if (user?.conversationStatus === constants.CONVERSATION_STATUS.AI &&
+                    !(await this.handleAIFailure(messageObj, constants.AI_SERVICE.ERROR_TYPES.PROCESSING))) {
                     const fallbackMessage = "I'm sorry, I'm having technical difficulties right now. Please try again in a moment!";
                     await whatsappService.sendMessage(messageObj.from, fallbackMessage);
                 }
@@ -817,6 +1160,329 @@ class MessageProcessor {
             }
         }
     }
+    
+    /**
+     * Count a failed AI answer; once ESCALATION.AI_FAILURE_THRESHOLD failures in a row are
+     * reached the conversation is escalated to the NOC and the user gets a holding message
+     * @param {Object} messageObj - Inbound message that did not get an AI answer
+     * @param {string} errorType - AI_SERVICE.ERROR_TYPES value
+     * @returns {Promise<boolean>} - true when escalated (the holding message replaces the fallback)
+     */
+    async handleAIFailure(messageObj, errorType) {
+        try {
+            const user = await databaseService.userService.recordAiFailure(messageObj.from, errorType);
+            const failureCount = user?.aiFailures?.consecutiveCount || 0;
+            
+            if (failureCount < constants.ESCALATION.AI_FAILURE_THRESHOLD) {
+                return false;
+            }
+            
+            console.warn(`🚨 ${failureCount} consecutive AI failures for ${messageObj.from} - escalating to the NOC`);
+            
+            const result = await conversationControlService.escalate(messageObj.from, {
+                reason: constants.ESCALATION.REASONS.AI_FAILURES,
+                priority: constants.ESCALATION.PRIORITY.HIGH,
+                details: `${failureCount} consecutive AI failures (last: ${errorType})`
+            });
+            
+            if (!result.escalated) {
+                return false;
+            }
+            
+            const holdingMessage = constants.ESCALATION.HOLDING_MESSAGE;
+            const whatsappResponse = await whatsappService.sendMessage(messageObj.from, holdingMessage);
+            
+            if (whatsappResponse?.messages?.[0]) {
+                try {
+                    await databaseService.processOutgoingAiMessage(
+                        messageObj.from,
+                        {
+                            whatsappMessageId: whatsappResponse.messages[0].id,
+                            textContent: holdingMessage,
+                            timestamp: new Date()
+                        },
+                        {
+                            checkpointId: `escalation_${Date.now()}`,
+                            processingTimeMs: Date.now() - new Date(messageObj.timestamp).getTime(),
+                            isFallback: true,
+                            errorType
+                        }
+                    );
+                } catch (dbError) {
+                    console.error('❌ Failed to store escalation holding message:', dbError.message);
+                }
+            }
+            
+            return true;
+        } catch (error) {
+            // Best effort - the caller falls back to its usual apology
+            console.error('❌ AI failure handling failed:', error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Escalate a conversation the AI handed over (payments, complaints, urgent bookings)
+     * The AI's reason and summary are recorded on the user for the NOC; the bridging message
+     * (or the holding message when the AI said nothing at all) tells the user what happens next
+     * @param {Object} messageObj - Inbound message the AI answered with a handoff
+     * @param {Object} handoff - { reason, priority, summary, message } (see aiService.getHandoff)
+     * @param {boolean} hasReply - Whether the AI also sent a reply
+     */
+    async handleAIHandoff(messageObj, handoff, hasReply) {
+        try {
+            console.log(`🙋 AI handed ${messageObj.from} over to the NOC (${handoff.reason}, ${handoff.priority})`);
+            
+            const result = await conversationControlService.escalate(messageObj.from, {
+                reason: constants.ESCALATION.REASONS.AI_HANDOFF,
+                priority: handoff.priority,
+                details: handoff.reason,
+                summary: handoff.summary
+            });
+            
+            if (!result.escalated) {
+                return;
+            }
+            
+            const bridgingMessage = handoff.message || (hasReply ? null : constants.ESCALATION.HOLDING_MESSAGE);
+            if (!bridgingMessage) {
+                return;
+            }
+            
+            const whatsappResponse = await whatsappService.sendMessage(messageObj.from, bridgingMessage);
+            
+            if (whatsappResponse?.messages?.[0]) {
+                try {
+                    await databaseService.processOutgoingAiMessage(
+                        messageObj.from,
+                        {
+                            whatsappMessageId: whatsappResponse.messages[0].id,
+                            textContent: bridgingMessage,
+                            timestamp: new Date()
+                        },
+                        {
+                            checkpointId: `handoff_${Date.now()}`,
+                            processingTimeMs: Date.now() - new Date(messageObj.timestamp).getTime()
+                        }
+                    );
+                } catch (dbError) {
+                    console.error('❌ Failed to store handoff bridging message:', dbError.message);
+                }
+            }
+        } catch (error) {
+            // The reply already went out - the conversation just stays with the AI
+            console.error('❌ AI handoff failed:', error.message);
+        }
+    }
+    
+    /**
+     * Build the interactive message of an AI reply and the text parts sent before it
+     * The body is the payload's own body when it has one (the AI's text reply then goes out first),
+     * else the text reply; body text beyond the interactive limit goes out first as normal parts
+     * @param {string} aiResponse - Text reply, already in WhatsApp formatting
+     * @param {Object|null} payload - Interactive payload from the AI
+     * @returns {{leadingParts: Array<string>, interactive: Object|null}}
+     */
+    buildInteractiveReply(aiResponse, payload) {
+        if (!payload) {
+            return { leadingParts: [], interactive: null };
+        }
+        
+        const payloadBody = payload.body ? WhatsAppFormatter.fromMarkdown(payload.body) : null;
+        const leadingText = payloadBody && aiResponse && aiResponse.trim() !== payloadBody.trim() ? aiResponse : null;
+        const { parts, tail } = MessageSplitter.splitWithTail(
+            payloadBody || aiResponse,
+            constants.INTERACTIVE_MESSAGE.BODY_LENGTH
+        );
+        
+        return {
+            leadingParts: [...(leadingText ? MessageSplitter.split(leadingText) : []), ...parts],
+            interactive: interactiveMessageService.normalize({ ...payload, body: tail })
+        };
+    }
+    
+    /**
+     * Send text (or interactive) reply parts and store each as an outbound AI message
+     * Parts of one reply share a messageGroup keyed by the WhatsApp ID of the first part
+     * @param {Object} messageObj - Inbound message being answered
+     * @param {Array<string>} parts - Formatted parts in send order (the last one is the rendered text for interactive)
+     * @param {Object} aiAuditData - Audit data stored with every part
+     * @param {Object|null} interactive - Normalized interactive payload, sent as the last part
+     */
+    async sendAIReplyParts(messageObj, parts, aiAuditData, interactive = null) {
+        let groupId = null;
+        
+        for (let i = 0; i < parts.length; i++) {
+            let whatsappResponse;
+            if (interactive && i === parts.length - 1) {
+                try {
+                    whatsappResponse = await whatsappService.sendInteractiveMessage(
+                        messageObj.from,
+                        interactiveMessageService.buildGraphInteractive(interactive)
+                    );
+                } catch (interactiveError) {
+                    console.error('⚠️ Interactive message failed, falling back to text:', interactiveError.message);
+                    whatsappResponse = await whatsappService.sendMessage(messageObj.from, parts[i]);
+                }
+            } else {
+                whatsappResponse = await whatsappService.sendMessage(messageObj.from, parts[i]);
+            }
+            
+            // Store AI response in database
+            if (whatsappResponse && whatsappResponse.messages && whatsappResponse.messages[0]) {
+                const aiMessageId = whatsappResponse.messages[0].id;
+                groupId = groupId || aiMessageId;
+                
+                try {
+                    await databaseService.processOutgoingAiMessage(
+                        messageObj.from,
+                        {
+                            whatsappMessageId: aiMessageId,
+                            textContent: parts[i],
+                            timestamp: new Date(),
+                            messageGroup: parts.length > 1 ? {
+                                groupId,
+                                partIndex: i + 1,
+                                partCount: parts.length
+                            } : undefined
+                        },
+                        aiAuditData
+                    );
+                    
+                    console.log(`✅ AI response stored in database successfully${parts.length > 1 ? ` (part ${i + 1}/${parts.length})` : ''}`);
+                } catch (dbError) {
+                    console.error('❌ Failed to store AI response in database:', dbError.message);
+                }
+            } else {
+                console.error('⚠️ No message ID received from WhatsApp API for AI response');
+            }
+        }
+    }
+    
+    /**
+     * Send completed paragraphs of a streaming AI reply while the rest is still being written
+     * (AI_STREAMING.PROGRESSIVE_ENABLED). Sends are chained so paragraphs go out in order;
+     * the last paragraph always waits for the final response.
+     * @param {Object} messageObj - Inbound message being answered
+     * @param {Object} typing - Typing keep-alive from whatsappStatusService.keepTyping
+     * @returns {{onContent: Function, finish: Function, remainder: Function}}
+     */
+    createProgressiveSender(messageObj, typing) {
+        const buffer = new ParagraphStreamBuffer();
+        let sendChain = Promise.resolve();
+        let isFinished = false;
+        
+        const onContent = (chunk) => {
+            // A stream that timed out may keep delivering chunks after the reply went out
+            if (isFinished) {
+                return;
+            }
+            
+            buffer.append(chunk);
+            const completed = buffer.takeCompleted(constants.AI_STREAMING.MIN_FLUSH_LENGTH);
+            if (!completed) {
+                return;
+            }
+            
+            sendChain = sendChain
+                .then(async () => {
+                    console.log(`📤 Streaming ${completed.length} characters of the AI reply ahead of completion`);
+                    await this.sendAIReplyParts(
+                        messageObj,
+                        MessageSplitter.split(WhatsAppFormatter.fromMarkdown(completed)),
+                        {
+                            checkpointId: `ai_stream_${Date.now()}`,
+                            processingTimeMs: Date.now() - new Date(messageObj.timestamp).getTime()
+                        }
+                    );
+                    // Sending a message hides the typing indicator
+                    await typing.refresh();
+                })
+                .catch(error => {
+                    console.error('❌ Failed to send streamed AI paragraph:', error.message);
+                });
+        };
+        
+        return {
+            onContent,
+            
+            // Wait for paragraphs still being sent; later chunks are ignored
+            finish: () => {
+                isFinished = true;
+                return sendChain;
+            },
+            
+            // Whether part of the reply already went out
+            hasFlushed: () => buffer.hasFlushed(),
+            
+            // Streamed text that has not been sent yet
+            unflushed: () => buffer.unflushed(),
+            
+            // Part of the final response that has not been sent yet
+            remainder: (finalText) => {
+                if (!buffer.hasFlushed()) {
+                    return finalText;
+                }
+                
+                const rest = buffer.remainder(finalText);
+                if (rest === null) {
+                    console.warn('⚠️ Final AI response does not continue the streamed text - sending the unsent streamed part');
+                    return buffer.unflushed();
+                }
+                return rest;
+            }
+        };
+    }
+    
+    /**
+     * Send media attachments returned by the AI ({ type, url, mimeType?, filename?, caption? })
+     * Each attachment is stored under the `ai` folder and recorded as an outbound AI message
+     */
+    async sendAIMedia(whatsappId, attachments) {
+        for (let i = 0; i < attachments.length; i++) {
+            const attachment = attachments[i];
+            const startTime = Date.now();
+            
+            try {
+                console.log(`📎 Sending AI ${attachment.type} attachment ${i + 1}/${attachments.length}`);
+                
+                const sendResult = await outboundMediaService.sendMedia({
+                    to: whatsappId,
+                    direction: constants.MESSAGE_DIRECTION.OUTBOUND_AI,
+                    mediaType: attachment.type,
+                    messageId: `ai_${Date.now()}_${i}`,
+                    url: attachment.url,
+                    mimeType: attachment.mimeType || null,
+                    filename: attachment.filename || null,
+                    caption: attachment.caption || null
+                });
+                
+                if (!sendResult.whatsappMessageId) {
+                    console.error('⚠️ No message ID received from WhatsApp API for AI attachment');
+                    continue;
+                }
+                
+                await databaseService.processOutgoingAiMessage(
+                    whatsappId,
+                    {
+                        whatsappMessageId: sendResult.whatsappMessageId,
+                        textContent: sendResult.textContent,
+                        mediaData: sendResult.mediaData,
+                        timestamp: new Date()
+                    },
+                    {
+                        checkpointId: `ai_media_${Date.now()}`,
+                        processingTimeMs: Date.now() - startTime
+                    }
+                );
+                
+                console.log('✅ AI attachment sent and stored');
+            } catch (error) {
+                // One failed attachment must not block the others
+                console.error(`❌ Failed to send AI ${attachment.type} attachment:`, error.message);
+            }
+        }
+    }
 }
 
 module.exports = MessageProcessor;
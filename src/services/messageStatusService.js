@@ -0,0 +1,155 @@
+/**
+ * Message Status Service
+ * Handles WhatsApp delivery status updates (sent / delivered / read / failed) for outbound messages
+ */
+
+const databaseService = require('./databaseService');
+const firestoreMessageService = require('./firebase/firestoreMessageService');
+const constants = require('../utils/constants');
+
+class MessageStatusService {
+
+  /**
+   * Process the `statuses` array of a webhook change
+   * Every status is applied before a pending one (message not stored yet) is rethrown, so the
+   * webhook queue retries the change; statuses already recorded are no-ops on the retry
+   */
+  static async processStatuses(statuses = []) {
+    const results = [];
+    let pendingError = null;
+
+    for (const statusData of statuses) {
+      try {
+        results.push(await this.processStatus(statusData));
+      } catch (error) {
+        if (error.code !== constants.ERROR_CODES.WHATSAPP_STATUS_MESSAGE_NOT_STORED) {
+          throw error;
+        }
+        pendingError = pendingError || error;
+        results.push(null);
+      }
+    }
+
+    if (pendingError) {
+      throw pendingError;
+    }
+
+    return results;
+  }
+
+  /**
+   * Process a single status update from the WhatsApp webhook
+   */
+  static async processStatus(statusData) {
+    try {
+      const {
+        id: whatsappMessageId,
+        status,
+        timestamp,
+        recipient_id: recipientId,
+        errors
+      } = statusData;
+
+      if (!whatsappMessageId || !recipientId) {
+        console.log('⚠️ Invalid status data - missing message id or recipient');
+        return null;
+      }
+
+      if (!Object.values(constants.DELIVERY_STATUS).includes(status)) {
+        console.log(`ℹ️ Unsupported delivery status ignored: ${status}`);
+        return null;
+      }
+
+      const statusEntry = {
+        status,
+        timestamp: timestamp ? new Date(parseInt(timestamp) * 1000) : new Date()
+      };
+
+      // Keep the Graph API error for failed messages
+      if (errors && errors.length > 0) {
+        const graphError = errors[0];
+        statusEntry.error = {
+          code: graphError.code,
+          title: graphError.title,
+          message: graphError.message,
+          details: graphError.error_data?.details
+        };
+        console.error(`❌ Message ${whatsappMessageId} failed with Graph error ${graphError.code}: ${graphError.title}`);
+      }
+
+      // Update in MongoDB
+      const mongoResult = await databaseService.updateMessageDeliveryStatus(
+        recipientId,
+        whatsappMessageId,
+        statusEntry
+      );
+
+      if (!mongoResult) {
+        await this.assertMessageStored(whatsappMessageId, statusEntry);
+        return null;
+      }
+
+      // Sync to Firestore
+      await this.syncStatusToFirestore(recipientId, whatsappMessageId, mongoResult.message);
+
+      console.log(`✅ Delivery status recorded: ${whatsappMessageId} -> ${mongoResult.message.deliveryStatus}`);
+
+      return {
+        success: true,
+        conversationId: recipientId,
+        whatsappMessageId,
+        deliveryStatus: mongoResult.message.deliveryStatus
+      };
+
+    } catch (error) {
+      console.error('❌ Error processing delivery status:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw a retryable error when a recent status arrived before its message was stored
+   * (the status webhook can beat the write that follows the send); statuses of messages
+   * older than DELIVERY_STATUS_PENDING_WINDOW are dropped, they were never stored here
+   */
+  static async assertMessageStored(whatsappMessageId, statusEntry) {
+    const storedMessage = await databaseService.findMessageByWhatsappId(whatsappMessageId);
+    if (storedMessage) {
+      console.log(`ℹ️ Status ${statusEntry.status} of ${whatsappMessageId} already recorded`);
+      return;
+    }
+
+    if (Date.now() - statusEntry.timestamp.getTime() > constants.DELIVERY_STATUS_PENDING_WINDOW) {
+      console.log(`ℹ️ No stored message for status ${statusEntry.status} of ${whatsappMessageId} - ignored`);
+      return;
+    }
+
+    const error = new Error(`Message ${whatsappMessageId} not stored yet for status ${statusEntry.status}`);
+    error.code = constants.ERROR_CODES.WHATSAPP_STATUS_MESSAGE_NOT_STORED;
+    error.retryable = true;
+    throw error;
+  }
+
+  /**
+   * Sync delivery status update to Firestore
+   */
+  static async syncStatusToFirestore(conversationId, whatsappMessageId, mongoMessage) {
+    try {
+      if (!firestoreMessageService.isReady()) {
+        return null;
+      }
+
+      return await firestoreMessageService.updateMessageDeliveryStatus(
+        conversationId,
+        whatsappMessageId,
+        mongoMessage
+      );
+
+    } catch (error) {
+      console.warn('⚠️ Firestore sync failed (non-blocking):', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = MessageStatusService;
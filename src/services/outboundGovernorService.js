@@ -0,0 +1,291 @@
+/**
+ * Outbound Governor Service
+ * Paces outbound WhatsApp messages so a business phone number stays within Meta's
+ * throughput (messages per second) and pair-rate (messages per user) limits.
+ *
+ * Each business phone number (channel) gets its own in-memory queue with:
+ * - a token bucket for the number's messages per second
+ * - a token bucket per recipient, so bursts to one user are paced
+ * - priority lanes (lm > ai > bulk) so LM replies jump ahead of bulk sends
+ * Messages to the same recipient are sent one at a time and in order.
+ */
+
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+const GOVERNOR = constants.OUTBOUND_GOVERNOR;
+
+class OutboundGovernorService {
+  constructor() {
+    this.numbers = new Map(); // phoneNumberId -> queue state
+  }
+
+  /**
+   * Queue a send and run it when the rate limits allow
+   * @param {Object} params - { to, priority, phoneNumberId }
+   * @param {Function} task - Async function performing the Graph request
+   * @returns {Promise<*>} - Result of the task
+   */
+  schedule({ to, priority = GOVERNOR.PRIORITY.AI, phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID }, task) {
+    if (!GOVERNOR.ENABLED) {
+      return task();
+    }
+
+    const state = this.getState(phoneNumberId);
+    const lane = GOVERNOR.PRIORITY_ORDER.includes(priority) ? priority : GOVERNOR.PRIORITY.AI;
+
+    if (this.getQueueDepth(state) >= GOVERNOR.MAX_QUEUE_SIZE) {
+      state.rejected += 1;
+      const error = new Error(`Outbound queue full for phone number ${phoneNumberId}`);
+      error.code = constants.ERROR_CODES.WHATSAPP_RATE_LIMITED;
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      state.queues[lane].push({ to, task, resolve, reject, enqueuedAt: Date.now() });
+      this.drain(state);
+    });
+  }
+
+  /**
+   * Queue state for a phone number (created on first use)
+   */
+  getState(phoneNumberId) {
+    const key = phoneNumberId || 'default';
+
+    if (!this.numbers.has(key)) {
+      this.numbers.set(key, {
+        phoneNumberId: key,
+        tokens: GOVERNOR.BURST,
+        lastRefill: Date.now(),
+        queues: Object.fromEntries(GOVERNOR.PRIORITY_ORDER.map(lane => [lane, []])),
+        recipients: new Map(), // to -> { tokens, lastRefill, inFlight }
+        inFlight: 0,
+        sent: 0,
+        failed: 0,
+        rejected: 0,
+        waits: [],
+        timer: null,
+        lastSweep: Date.now()
+      });
+    }
+
+    return this.numbers.get(key);
+  }
+
+  /**
+   * Send every queued message the buckets allow, highest lane first,
+   * and schedule the next pass when something is still waiting
+   */
+  drain(state) {
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+
+    const now = Date.now();
+    this.refill(state, now);
+    this.sweepRecipients(state, now);
+
+    const blocked = new Set();
+    let nextWakeMs = Infinity;
+
+    for (const lane of GOVERNOR.PRIORITY_ORDER) {
+      const queue = state.queues[lane];
+      let i = 0;
+
+      while (i < queue.length && state.tokens >= 1) {
+        const job = queue[i];
+        if (blocked.has(job.to)) {
+          i += 1;
+          continue;
+        }
+
+        const recipient = this.getRecipient(state, job.to, now);
+
+        // One message at a time per recipient keeps them in order
+        if (recipient.inFlight) {
+          blocked.add(job.to);
+          i += 1;
+          continue;
+        }
+
+        if (recipient.tokens < 1) {
+          blocked.add(job.to);
+          nextWakeMs = Math.min(nextWakeMs, (1 - recipient.tokens) * GOVERNOR.PAIR_INTERVAL_MS);
+          i += 1;
+          continue;
+        }
+
+        queue.splice(i, 1);
+        state.tokens -= 1;
+        recipient.tokens -= 1;
+        this.dispatch(state, job, recipient, now);
+      }
+    }
+
+    if (state.tokens < 1) {
+      nextWakeMs = Math.min(nextWakeMs, ((1 - state.tokens) * 1000) / GOVERNOR.MESSAGES_PER_SECOND);
+    }
+
+    if (Number.isFinite(nextWakeMs) && this.getQueueDepth(state) > 0) {
+      state.timer = setTimeout(() => this.drain(state), Math.max(Math.ceil(nextWakeMs), 5));
+    }
+  }
+
+  /**
+   * Run a send and release its recipient when it settles
+   */
+  dispatch(state, job, recipient, now) {
+    recipient.inFlight = true;
+    state.inFlight += 1;
+    this.recordWait(state, now - job.enqueuedAt);
+
+    Promise.resolve()
+      .then(job.task)
+      .then((result) => {
+        state.sent += 1;
+        job.resolve(result);
+      }, (error) => {
+        state.failed += 1;
+        this.applyThrottling(state, recipient, error);
+        job.reject(error);
+      })
+      .finally(() => {
+        recipient.inFlight = false;
+        state.inFlight -= 1;
+        this.drain(state);
+      });
+  }
+
+  /**
+   * Empty the matching bucket when Meta reports throttling despite our pacing
+   */
+  applyThrottling(state, recipient, error) {
+    if (error?.code !== constants.ERROR_CODES.WHATSAPP_RATE_LIMITED || !error.graphError) {
+      return;
+    }
+
+    const isPairLimit = error.graphError.code === constants.GRAPH_API.PAIR_RATE_LIMIT_ERROR_CODE;
+    if (isPairLimit) {
+      recipient.tokens = 0;
+    } else {
+      state.tokens = 0;
+    }
+
+    logger.warn('OutboundGovernor', 'Graph API throttled a send - pausing', {
+      phoneNumberId: state.phoneNumberId,
+      scope: isPairLimit ? 'recipient' : 'phone_number',
+      graphCode: error.graphError.code
+    });
+  }
+
+  /**
+   * Top up the phone number bucket
+   */
+  refill(state, now) {
+    const elapsed = now - state.lastRefill;
+    state.tokens = Math.min(GOVERNOR.BURST, state.tokens + (elapsed * GOVERNOR.MESSAGES_PER_SECOND) / 1000);
+    state.lastRefill = now;
+  }
+
+  /**
+   * Recipient bucket, topped up
+   */
+  getRecipient(state, to, now) {
+    let recipient = state.recipients.get(to);
+
+    if (!recipient) {
+      recipient = { tokens: GOVERNOR.PAIR_BURST, lastRefill: now, inFlight: false };
+      state.recipients.set(to, recipient);
+      return recipient;
+    }
+
+    const elapsed = now - recipient.lastRefill;
+    recipient.tokens = Math.min(GOVERNOR.PAIR_BURST, recipient.tokens + elapsed / GOVERNOR.PAIR_INTERVAL_MS);
+    recipient.lastRefill = now;
+    return recipient;
+  }
+
+  /**
+   * Forget recipients that are idle with a full bucket
+   */
+  sweepRecipients(state, now) {
+    if (now - state.lastSweep < GOVERNOR.SWEEP_INTERVAL) {
+      return;
+    }
+    state.lastSweep = now;
+
+    for (const [to, recipient] of state.recipients) {
+      const tokens = recipient.tokens + (now - recipient.lastRefill) / GOVERNOR.PAIR_INTERVAL_MS;
+      if (!recipient.inFlight && tokens >= GOVERNOR.PAIR_BURST) {
+        state.recipients.delete(to);
+      }
+    }
+  }
+
+  recordWait(state, waitMs) {
+    state.waits.push(waitMs);
+    if (state.waits.length > GOVERNOR.WAIT_SAMPLE_SIZE) {
+      state.waits.shift();
+    }
+  }
+
+  getQueueDepth(state) {
+    return GOVERNOR.PRIORITY_ORDER.reduce((total, lane) => total + state.queues[lane].length, 0);
+  }
+
+  /**
+   * Queue depth and wait times per phone number for monitoring
+   */
+  getStats() {
+    const now = Date.now();
+
+    return {
+      enabled: GOVERNOR.ENABLED,
+      limits: {
+        messagesPerSecond: GOVERNOR.MESSAGES_PER_SECOND,
+        burst: GOVERNOR.BURST,
+        pairBurst: GOVERNOR.PAIR_BURST,
+        pairIntervalMs: GOVERNOR.PAIR_INTERVAL_MS
+      },
+      phoneNumbers: Array.from(this.numbers.values()).map((state) => {
+        this.refill(state, now);
+
+        const queueDepth = Object.fromEntries(
+          GOVERNOR.PRIORITY_ORDER.map(lane => [lane, state.queues[lane].length])
+        );
+        const oldestEnqueuedAt = Math.min(
+          ...GOVERNOR.PRIORITY_ORDER
+            .filter(lane => state.queues[lane].length > 0)
+            .map(lane => state.queues[lane][0].enqueuedAt)
+        );
+        const sortedWaits = [...state.waits].sort((a, b) => a - b);
+
+        return {
+          phoneNumberId: state.phoneNumberId,
+          queueDepth: { ...queueDepth, total: this.getQueueDepth(state) },
+          inFlight: state.inFlight,
+          availableTokens: Math.floor(state.tokens),
+          trackedRecipients: state.recipients.size,
+          sent: state.sent,
+          failed: state.failed,
+          rejected: state.rejected,
+          waitMs: {
+            oldestQueued: Number.isFinite(oldestEnqueuedAt) ? now - oldestEnqueuedAt : 0,
+            average: sortedWaits.length > 0 ?
+              Math.round(sortedWaits.reduce((sum, wait) => sum + wait, 0) / sortedWaits.length) : 0,
+            p95: sortedWaits.length > 0 ? sortedWaits[Math.floor(sortedWaits.length * 0.95)] : 0,
+            max: sortedWaits.length > 0 ? sortedWaits[sortedWaits.length - 1] : 0,
+            samples: sortedWaits.length
+          }
+        };
+      })
+    };
+  }
+}
+
+// Create singleton instance
+const outboundGovernorService = new OutboundGovernorService();
+
+module.exports = outboundGovernorService;
@@ -0,0 +1,246 @@
+/**
+ * Outbound Media Service
+ * Sends image, document, audio and video messages on behalf of LMs and the AI.
+ * Files are stored through MediaProcessor (under the `lm` / `ai` folders) before they are
+ * sent, either by uploading to the Graph media endpoint or by handing WhatsApp a link.
+ */
+
+const path = require('path');
+const net = require('net');
+const dns = require('dns').promises;
+const axios = require('axios');
+const whatsappService = require('./whatsappService');
+const MediaProcessor = require('./mediaProcessor');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+const OUTBOUND_MEDIA = constants.OUTBOUND_MEDIA;
+
+// Addresses a caller-provided media URL must never reach: private, loopback, link-local
+// (cloud metadata), shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['::ffff:0:0', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+class OutboundMediaService {
+
+  /**
+   * Store and send a media message
+   * @param {Object} params
+   * @param {string} params.to - Recipient WhatsApp ID
+   * @param {string} params.direction - MESSAGE_DIRECTION.OUTBOUND_LM or OUTBOUND_AI
+   * @param {string} params.mediaType - 'image' | 'document' | 'audio' | 'video'
+   * @param {string} params.messageId - Identifier used in the storage path (e.g. clientMessageId)
+   * @param {Buffer} [params.buffer] - File contents (either buffer or url is required)
+   * @param {string} [params.url] - URL to fetch the file from
+   * @param {string} [params.mimeType] - MIME type (taken from the download when omitted)
+   * @param {string} [params.filename] - File name
+   * @param {string} [params.caption] - Caption (image, document, video)
+   * @param {string} [params.contextMessageId] - WhatsApp message ID to quote
+   * @param {string} [params.priority] - Outbound governor lane (OUTBOUND_GOVERNOR.PRIORITY)
+   * @returns {Promise<Object>} - { whatsappMessageId, whatsappResponse, mediaData, textContent }
+   */
+  async sendMedia(params) {
+    const startTime = Date.now();
+    const { to, direction, mediaType, messageId, caption, contextMessageId, priority } = params;
+
+    if (!OUTBOUND_MEDIA.TYPES.includes(mediaType)) {
+      throw new Error(`Unsupported outbound media type: ${mediaType}`);
+    }
+
+    // 1. Resolve the file contents
+    const file = params.buffer ?
+      { buffer: params.buffer, mimeType: params.mimeType, filename: params.filename } :
+      await this.downloadFromUrl(params.url, params.mimeType, params.filename);
+
+    if (!file.mimeType) {
+      throw new Error('mimeType is required when it cannot be derived from the download');
+    }
+
+    const mediaInfo = {
+      buffer: file.buffer,
+      mimeType: file.mimeType,
+      filename: this.ensureExtension(file.filename || `${mediaType}_${messageId}`, file.mimeType)
+    };
+
+    // 2. Store under the lm / ai folder of the recipient
+    const stored = await MediaProcessor.processMedia({ from: to, messageId }, mediaInfo, direction);
+
+    // 3. Send through the Graph media endpoint or as a link to the stored copy
+    let media;
+    if (OUTBOUND_MEDIA.SEND_MODE === 'link') {
+      media = { link: stored.url };
+    } else {
+      media = { id: await whatsappService.uploadMedia(mediaInfo.buffer, mediaInfo.mimeType, mediaInfo.filename) };
+    }
+
+    const whatsappResponse = await whatsappService.sendMediaMessage(to, mediaType, media, {
+      caption,
+      filename: mediaInfo.filename,
+      contextMessageId,
+      priority
+    });
+
+    const whatsappMessageId = whatsappResponse?.messages?.[0]?.id || null;
+
+    logger.media('SEND_OUTBOUND', mediaInfo.filename, mediaInfo.buffer.length, {
+      to,
+      direction,
+      mediaType,
+      sendMode: OUTBOUND_MEDIA.SEND_MODE,
+      whatsappMessageId,
+      durationMs: Date.now() - startTime
+    });
+
+    return {
+      whatsappMessageId,
+      whatsappResponse,
+      textContent: this.buildTextContent(mediaType, caption, mediaInfo.filename),
+      mediaData: {
+        type: stored.type,
+        url: stored.url,
+        mimeType: stored.mimeType,
+        fileName: stored.fileName,
+        fileSize: stored.fileSize,
+        storagePath: stored.storagePath,
+        metadata: {
+          ...stored.metadata,
+          caption: caption || null,
+          sourceUrl: params.url || null
+        }
+      }
+    };
+  }
+
+  /**
+   * Fetch a file from a URL
+   * Only public addresses are reached: every host (redirects included) is checked against
+   * ALLOWED_HOSTS and the addresses it resolves to against BLOCKED_ADDRESSES
+   * @returns {Promise<Object>} - { buffer, mimeType, filename }
+   */
+  async downloadFromUrl(url, mimeType = null, filename = null) {
+    if (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      throw new Error('A media buffer or an http(s) URL is required');
+    }
+
+    this.assertAllowedHost(new URL(url).hostname);
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: OUTBOUND_MEDIA.DOWNLOAD_TIMEOUT,
+        maxContentLength: constants.FIREBASE.MAX_FILE_SIZE,
+        maxRedirects: OUTBOUND_MEDIA.DOWNLOAD_MAX_REDIRECTS,
+        beforeRedirect: (options) => this.assertAllowedHost(options.hostname),
+        lookup: async (hostname) => this.resolvePublicAddress(hostname)
+      });
+
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: mimeType || contentType || null,
+        filename: filename || path.basename(new URL(url).pathname) || null
+      };
+
+    } catch (error) {
+      // Redirect failures wrap the rejection in `cause`
+      for (let cause = error; cause; cause = cause.cause) {
+        if (cause.code === constants.ERROR_CODES.MEDIA_URL_NOT_ALLOWED) {
+          throw cause;
+        }
+      }
+      throw new Error(`Failed to download media from URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reject hosts outside ALLOWED_HOSTS and IP literals in a blocked range
+   */
+  assertAllowedHost(hostname) {
+    const host = (hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+
+    const isAllowed = OUTBOUND_MEDIA.ALLOWED_HOSTS.length === 0 ||
+      OUTBOUND_MEDIA.ALLOWED_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+
+    if (!isAllowed || this.isBlockedAddress(host)) {
+      throw this.createUrlNotAllowedError(host);
+    }
+  }
+
+  /**
+   * DNS lookup used for the download: resolves the host and refuses blocked addresses,
+   * so a public name pointing at an internal address is never connected to
+   * @returns {Promise<Array>} - [address, family]
+   */
+  async resolvePublicAddress(hostname) {
+    const addresses = await dns.lookup(hostname, { all: true });
+
+    if (addresses.length === 0 || addresses.some(({ address }) => this.isBlockedAddress(address))) {
+      throw this.createUrlNotAllowedError(hostname);
+    }
+
+    return [addresses[0].address, addresses[0].family];
+  }
+
+  isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  createUrlNotAllowedError(host) {
+    const error = new Error(`Media URL host is not allowed: ${host}`);
+    error.code = constants.ERROR_CODES.MEDIA_URL_NOT_ALLOWED;
+    return error;
+  }
+
+  /**
+   * Make sure the file name carries an extension (PathGenerator requires one)
+   */
+  ensureExtension(filename, mimeType) {
+    if (path.extname(filename)) {
+      return filename;
+    }
+
+    return `${filename}.${whatsappService.getFileExtension(mimeType)}`;
+  }
+
+  /**
+   * Readable textContent for a media message (same format as inbound media)
+   */
+  buildTextContent(mediaType, caption, filename) {
+    switch (mediaType) {
+      case 'image':
+        return `[IMAGE] ${caption || 'Photo'}`;
+      case 'video':
+        return `[VIDEO] ${caption || 'Video'}`;
+      case 'audio':
+        return '[AUDIO] Audio';
+      case 'document':
+        return `[DOCUMENT] ${caption || filename || 'File'}`;
+      default:
+        return `[${mediaType.toUpperCase()}] Media message`;
+    }
+  }
+}
+
+// Create singleton instance
+const outboundMediaService = new OutboundMediaService();
+
+module.exports = outboundMediaService;
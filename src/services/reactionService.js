@@ -1,11 +1,14 @@
 /**
  * Reaction Service
- * Handles WhatsApp emoji reaction processing and updates
+ * Handles WhatsApp emoji reaction processing and updates (inbound from users,
+ * outbound from LMs and the AI)
  */
 
 const databaseService = require('./databaseService');
+const whatsappService = require('./whatsappService');
 const firestoreMessageService = require('./firebase/firestoreMessageService');
 const logger = require('../utils/logger');
+const constants = require('../utils/constants');
 
 class ReactionService {
   
@@ -62,6 +65,52 @@ class ReactionService {
     }
   }
 
+  /**
+   * Send a reaction from the business (LM or AI) to a message in a user's conversation
+   * An empty emoji removes the business reaction
+   * @param {Object} params - { to, messageId, emoji, reactedBy (lmId or 'ai'), priority }
+   * @returns {Promise<Object>} - { whatsappMessageId, reaction, recorded }
+   */
+  static async sendReaction({ to, messageId, emoji, reactedBy, priority }) {
+    const messageLocation = await this.findMessageByWhatsappId(messageId);
+
+    if (!messageLocation || messageLocation.conversationId !== to) {
+      const error = new Error(`Message ${messageId} not found in conversation ${to}`);
+      error.code = constants.ERROR_CODES.RESOURCE_NOT_FOUND;
+      throw error;
+    }
+
+    const whatsappResponse = await whatsappService.sendReaction(to, messageId, emoji, { priority });
+
+    // A message holds one reaction - removing ours must not wipe the user's own reaction
+    const existingReaction = messageLocation.message?.reaction;
+    const keepsUserReaction = !emoji && existingReaction?.emoji && existingReaction.reactedBy === to;
+
+    const result = keepsUserReaction ? null : await this.updateMessageReaction(
+      messageLocation.conversationId,
+      messageLocation.messageIndex,
+      {
+        emoji,
+        timestamp: new Date(),
+        reactedBy
+      }
+    );
+
+    logger.info('ReactionService', emoji ? 'Outbound reaction sent' : 'Outbound reaction removed', {
+      to,
+      messageId,
+      emoji,
+      reactedBy,
+      recorded: !!result
+    });
+
+    return {
+      whatsappMessageId: whatsappResponse?.messages?.[0]?.id || null,
+      reaction: result ? result.reaction : existingReaction || null,
+      recorded: !!result
+    };
+  }
+
   /**
    * Find message by WhatsApp message ID across all conversations
    */
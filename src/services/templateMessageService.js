@@ -0,0 +1,162 @@
+/**
+ * Template Message Service
+ * Builds Graph template components from a simple request shape and sends template messages.
+ * Templates are the only messages WhatsApp accepts outside the 24-hour customer service window.
+ */
+
+const whatsappService = require('./whatsappService');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+class TemplateMessageService {
+
+  /**
+   * Build body parameters
+   * @param {Object|Array} bodyParameters - { name: value } for named templates, [value] for positional ones
+   * @returns {Array<Object>} - Graph parameter objects
+   */
+  buildBodyParameters(bodyParameters) {
+    if (Array.isArray(bodyParameters)) {
+      return bodyParameters.map(value => ({ type: 'text', text: String(value) }));
+    }
+
+    return Object.entries(bodyParameters).map(([name, value]) => ({
+      type: 'text',
+      parameter_name: name,
+      text: String(value)
+    }));
+  }
+
+  /**
+   * Build the header component
+   * @param {Object} header - { type: 'text', text, parameterName? } or { type: 'image'|'video'|'document', link, filename? }
+   * @returns {Object} - Graph header component
+   */
+  buildHeaderComponent(header) {
+    if (header.type === 'text') {
+      const parameter = { type: 'text', text: String(header.text) };
+      if (header.parameterName) {
+        parameter.parameter_name = header.parameterName;
+      }
+      return { type: 'header', parameters: [parameter] };
+    }
+
+    const media = { link: header.link };
+    if (header.type === 'document' && header.filename) {
+      media.filename = header.filename;
+    }
+
+    return {
+      type: 'header',
+      parameters: [{ type: header.type, [header.type]: media }]
+    };
+  }
+
+  /**
+   * Build a button component
+   * @param {Object} button - { index, subType: 'quick_reply'|'url', payload?, text? }
+   * @returns {Object} - Graph button component
+   */
+  buildButtonComponent(button) {
+    const parameter = button.subType === 'url' ?
+      { type: 'text', text: String(button.text) } :
+      { type: 'payload', payload: String(button.payload) };
+
+    return {
+      type: 'button',
+      sub_type: button.subType,
+      index: String(button.index),
+      parameters: [parameter]
+    };
+  }
+
+  /**
+   * Build all template components
+   * @param {Object} params - { bodyParameters, header, buttons }
+   * @returns {Array<Object>} - Graph template components
+   */
+  buildComponents({ bodyParameters = null, header = null, buttons = [] }) {
+    const components = [];
+
+    if (header) {
+      components.push(this.buildHeaderComponent(header));
+    }
+
+    if (bodyParameters && Object.keys(bodyParameters).length > 0) {
+      components.push({ type: 'body', parameters: this.buildBodyParameters(bodyParameters) });
+    }
+
+    for (const button of buttons || []) {
+      components.push(this.buildButtonComponent(button));
+    }
+
+    return components;
+  }
+
+  /**
+   * Readable textContent for the conversation history
+   * e.g. "[TEMPLATE] order_update (name: Asha, order: 1234)"
+   */
+  buildTextContent(templateName, bodyParameters = null) {
+    let values = [];
+
+    if (Array.isArray(bodyParameters)) {
+      values = bodyParameters.map(value => String(value));
+    } else if (bodyParameters) {
+      values = Object.entries(bodyParameters).map(([name, value]) => `${name}: ${value}`);
+    }
+
+    return values.length > 0 ?
+      `[TEMPLATE] ${templateName} (${values.join(', ')})` :
+      `[TEMPLATE] ${templateName}`;
+  }
+
+  /**
+   * Send a template message
+   * @param {Object} params - { to, templateName, languageCode, bodyParameters, header, buttons, priority }
+   * @returns {Promise<Object>} - { whatsappMessageId, whatsappResponse, textContent, template }
+   */
+  async sendTemplate(params) {
+    const languageCode = params.languageCode || constants.TEMPLATE_MESSAGES.DEFAULT_LANGUAGE;
+    const components = this.buildComponents(params);
+
+    const whatsappResponse = await whatsappService.sendTemplateMessage(
+      params.to,
+      params.templateName,
+      languageCode,
+      components,
+      { priority: params.priority }
+    );
+
+    const whatsappMessageId = whatsappResponse?.messages?.[0]?.id || null;
+
+    logger.info('TemplateMessageService', 'Template message sent', {
+      to: params.to,
+      templateName: params.templateName,
+      languageCode,
+      componentCount: components.length,
+      whatsappMessageId
+    });
+
+    return {
+      whatsappMessageId,
+      whatsappResponse,
+      textContent: this.buildTextContent(params.templateName, params.bodyParameters),
+      template: {
+        name: params.templateName,
+        language: languageCode,
+        bodyParameters: params.bodyParameters || undefined,
+        header: params.header ? {
+          type: params.header.type,
+          text: params.header.text,
+          link: params.header.link
+        } : undefined
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const templateMessageService = new TemplateMessageService();
+
+module.exports = templateMessageService;
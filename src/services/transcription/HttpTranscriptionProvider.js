@@ -0,0 +1,49 @@
+/**
+ * HTTP Transcription Provider
+ * Posts the audio as multipart form data to an OpenAI-compatible
+ * `/v1/audio/transcriptions` endpoint. Local Whisper servers (faster-whisper-server,
+ * whisper.cpp server) speak the same protocol, so TRANSCRIPTION_API_URL can point at one.
+ */
+
+const axios = require('axios');
+const TranscriptionProvider = require('./TranscriptionProvider');
+const constants = require('../../utils/constants');
+
+const TRANSCRIPTION = constants.TRANSCRIPTION;
+
+class HttpTranscriptionProvider extends TranscriptionProvider {
+
+  constructor({ url = TRANSCRIPTION.HTTP_URL, apiKey = TRANSCRIPTION.HTTP_API_KEY, model = TRANSCRIPTION.MODEL } = {}) {
+    super(TRANSCRIPTION.PROVIDERS.HTTP);
+    this.url = url;
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  async transcribe(audio, options = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([audio.buffer], { type: audio.mimeType }), audio.filename || 'voice.ogg');
+    form.append('model', this.model);
+    form.append('response_format', 'json');
+    if (options.language) {
+      form.append('language', options.language);
+    }
+
+    const response = await axios.post(this.url, form, {
+      timeout: TRANSCRIPTION.TIMEOUT,
+      maxBodyLength: Infinity,
+      headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}
+    });
+
+    if (typeof response.data?.text !== 'string') {
+      throw new Error('Transcription response has no text');
+    }
+
+    return {
+      text: response.data.text,
+      language: response.data.language || options.language || null
+    };
+  }
+}
+
+module.exports = HttpTranscriptionProvider;
@@ -0,0 +1,24 @@
+/**
+ * Stub Transcription Provider
+ * Returns constants.TRANSCRIPTION.STUB_TEXT for every voice note, so the pipeline
+ * can be exercised (simulator, tests) without a speech-to-text server.
+ */
+
+const TranscriptionProvider = require('./TranscriptionProvider');
+const constants = require('../../utils/constants');
+
+class StubTranscriptionProvider extends TranscriptionProvider {
+
+  constructor() {
+    super(constants.TRANSCRIPTION.PROVIDERS.STUB);
+  }
+
+  async transcribe(audio, options = {}) {
+    return {
+      text: constants.TRANSCRIPTION.STUB_TEXT,
+      language: options.language || null
+    };
+  }
+}
+
+module.exports = StubTranscriptionProvider;
@@ -0,0 +1,27 @@
+/**
+ * Transcription Provider
+ * Interface of the speech-to-text backends used by transcriptionService.
+ * A provider turns an audio buffer into text and throws when it cannot.
+ */
+
+class TranscriptionProvider {
+
+  /**
+   * @param {string} name - Provider name (constants.TRANSCRIPTION.PROVIDERS value)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Object} audio - { buffer, mimeType, filename }
+   * @param {Object} options - { language } (ISO-639-1 hint, may be null)
+   * @returns {Promise<{text: string, language: string|null}>}
+   */
+  async transcribe(audio, options = {}) {
+    throw new Error(`Transcription provider ${this.name} does not implement transcribe()`);
+  }
+}
+
+module.exports = TranscriptionProvider;
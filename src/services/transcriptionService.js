@@ -0,0 +1,114 @@
+/**
+ * Transcription Service
+ * Turns inbound voice notes into text with the speech-to-text provider named by
+ * TRANSCRIPTION_PROVIDER (see services/transcription). Never throws: a failed
+ * transcription is reported in the result, and the voice note is handled as before.
+ */
+
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+const StubTranscriptionProvider = require('./transcription/StubTranscriptionProvider');
+const HttpTranscriptionProvider = require('./transcription/HttpTranscriptionProvider');
+
+const TRANSCRIPTION = constants.TRANSCRIPTION;
+
+class TranscriptionService {
+  constructor() {
+    this.providers = new Map([
+      [TRANSCRIPTION.PROVIDERS.STUB, () => new StubTranscriptionProvider()],
+      [TRANSCRIPTION.PROVIDERS.HTTP, () => new HttpTranscriptionProvider()]
+    ]);
+    this.provider = null;
+  }
+
+  isEnabled() {
+    return TRANSCRIPTION.ENABLED;
+  }
+
+  /**
+   * Add a provider (e.g. a cloud speech API) selectable through TRANSCRIPTION_PROVIDER
+   * @param {string} name - Provider name
+   * @param {Function} factory - Returns a TranscriptionProvider
+   */
+  registerProvider(name, factory) {
+    this.providers.set(name, factory);
+    if (this.provider?.name === name) {
+      this.provider = null;
+    }
+  }
+
+  /**
+   * Configured provider (created on first use)
+   */
+  getProvider() {
+    if (!this.provider) {
+      const factory = this.providers.get(TRANSCRIPTION.PROVIDER);
+      if (!factory) {
+        throw new Error(`Unknown transcription provider: ${TRANSCRIPTION.PROVIDER}`);
+      }
+      this.provider = factory();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Transcribe a voice note
+   * @param {Object} audio - Downloaded media { buffer, mimeType, filename }
+   * @param {Object} context - { messageId } for logs
+   * @returns {Promise<Object|null>} - { status, text, language, provider, processingTimeMs, error },
+   *                                   null when transcription is disabled
+   */
+  async transcribe(audio, context = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const startTime = Date.now();
+    let providerName = TRANSCRIPTION.PROVIDER;
+
+    try {
+      const provider = this.getProvider();
+      providerName = provider.name;
+
+      const result = await provider.transcribe(audio, { language: TRANSCRIPTION.LANGUAGE });
+      const text = (result.text || '').trim().substring(0, TRANSCRIPTION.MAX_TEXT_LENGTH);
+
+      logger.info('TranscriptionService', 'Voice note transcribed', {
+        messageId: context.messageId,
+        provider: providerName,
+        length: text.length,
+        processingTimeMs: Date.now() - startTime
+      });
+
+      return {
+        status: text ? TRANSCRIPTION.STATUS.COMPLETED : TRANSCRIPTION.STATUS.EMPTY,
+        text: text || null,
+        language: result.language || null,
+        provider: providerName,
+        processingTimeMs: Date.now() - startTime,
+        error: null
+      };
+    } catch (error) {
+      logger.warn('TranscriptionService', 'Voice note transcription failed', {
+        messageId: context.messageId,
+        provider: providerName,
+        status: error.response?.status || null,
+        error: error.message
+      });
+
+      return {
+        status: TRANSCRIPTION.STATUS.FAILED,
+        text: null,
+        language: null,
+        provider: providerName,
+        processingTimeMs: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const transcriptionService = new TranscriptionService();
+
+module.exports = transcriptionService;
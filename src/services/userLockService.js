@@ -0,0 +1,141 @@
+/**
+ * User Lock Service
+ * Serializes message processing per WhatsApp user so replies go out in the order messages arrived.
+ * An in-process keyed mutex keeps FIFO order inside this instance; a Mongo lease lock extends
+ * the guarantee across server instances. Different users are processed concurrently.
+ * Locks are reentrant within one async call chain (e.g. a number migration started while the
+ * webhook batch already holds the new number).
+ */
+
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const { UserLock } = require('../models');
+const KeyedMutex = require('../utils/keyedMutex');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+const LOCK = constants.USER_LOCK;
+
+class UserLockService {
+  constructor() {
+    this.owner = `${os.hostname()}-${process.pid}`;
+    this.mutex = new KeyedMutex();
+    this.holders = new Map(); // whatsappId -> token of the call chain holding the lock
+    this.heldLocks = new AsyncLocalStorage(); // Map of whatsappId -> token held by the current call chain
+  }
+
+  /**
+   * Check whether the current call chain holds the lock (timers started under a lock keep
+   * its async context after release, so the token must still be the live one)
+   */
+  isHeldByCurrentContext(whatsappId) {
+    const token = this.heldLocks.getStore()?.get(whatsappId);
+    return !!token && this.holders.get(whatsappId) === token;
+  }
+
+  /**
+   * Run a function outside the locks held by the current call chain, e.g. to start a timer
+   * whose callback must take the lock itself instead of passing as reentrant
+   */
+  runOutsideLocks(fn) {
+    return this.heldLocks.exit(fn);
+  }
+
+  /**
+   * Run a function while holding the lock for a WhatsApp user
+   * @param {string} whatsappId - User's WhatsApp ID
+   * @param {Function} fn - Async function to run exclusively
+   * @returns {Promise<*>} - Result of fn
+   */
+  async withUserLock(whatsappId, fn) {
+    if (this.isHeldByCurrentContext(whatsappId)) {
+      return fn();
+    }
+
+    return this.mutex.runExclusive(whatsappId, async () => {
+      await this.acquireLease(whatsappId);
+
+      const token = Symbol(whatsappId);
+      const heldLocks = new Map(this.heldLocks.getStore() || []);
+      heldLocks.set(whatsappId, token);
+      this.holders.set(whatsappId, token);
+
+      const renewTimer = setInterval(() => {
+        UserLock.renew(whatsappId, this.owner, LOCK.LEASE_DURATION)
+          .then(isRenewed => {
+            if (!isRenewed) {
+              logger.warn('UserLockService', 'User lock lease lost while processing', { whatsappId });
+            }
+          })
+          .catch(error => {
+            logger.warn('UserLockService', 'Failed to renew user lock', { whatsappId, error: error.message });
+          });
+      }, LOCK.LEASE_RENEW_INTERVAL);
+
+      try {
+        return await this.heldLocks.run(heldLocks, fn);
+      } finally {
+        this.holders.delete(whatsappId);
+        clearInterval(renewTimer);
+        await this.releaseLease(whatsappId);
+      }
+    });
+  }
+
+  /**
+   * Run a function while holding the locks for several users
+   * Locks are taken in sorted order so two callers can never deadlock
+   */
+  async withUserLocks(whatsappIds, fn) {
+    const sortedIds = [...new Set(whatsappIds)].filter(Boolean).sort();
+
+    const runLocked = (index) => {
+      if (index >= sortedIds.length) {
+        return fn();
+      }
+      return this.withUserLock(sortedIds[index], () => runLocked(index + 1));
+    };
+
+    return runLocked(0);
+  }
+
+  /**
+   * Wait for the Mongo lease lock, polling while another instance holds it
+   */
+  async acquireLease(whatsappId) {
+    const startTime = Date.now();
+    let hasLoggedWait = false;
+
+    while (!(await UserLock.acquire(whatsappId, this.owner, LOCK.LEASE_DURATION))) {
+      if (Date.now() - startTime >= LOCK.ACQUIRE_TIMEOUT) {
+        throw new Error(`Timed out waiting for processing lock of user ${whatsappId}`);
+      }
+
+      if (!hasLoggedWait) {
+        logger.info('UserLockService', 'User is being processed by another instance, waiting...', { whatsappId });
+        hasLoggedWait = true;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, LOCK.RETRY_INTERVAL));
+    }
+
+    logger.database('LOCK', 'UserLock', { whatsappId, waitedMs: Date.now() - startTime });
+  }
+
+  /**
+   * Release the Mongo lease lock (an unreleased lease simply expires)
+   */
+  async releaseLease(whatsappId) {
+    try {
+      await UserLock.release(whatsappId, this.owner);
+      logger.database('UNLOCK', 'UserLock', { whatsappId });
+    } catch (error) {
+      logger.warn('UserLockService', 'Failed to release user lock', { whatsappId, error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+const userLockService = new UserLockService();
+
+module.exports = userLockService;
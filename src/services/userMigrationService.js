@@ -0,0 +1,106 @@
+/**
+ * User Migration Service
+ * Moves a user to a new WhatsApp ID when Meta reports a `user_changed_number` system message.
+ * Migrates storage media, the Conversation history, the User document and the Firestore
+ * user document with its messages. Every step is safe to re-run, so a failed migration
+ * can simply be retried by the webhook job queue.
+ */
+
+const userService = require('./userService');
+const conversationService = require('./conversationService');
+const mediaService = require('./mediaService');
+const firestoreService = require('./firestoreService');
+const userLockService = require('./userLockService');
+const PathGenerator = require('./media/PathGenerator');
+const MongoToFirestoreTransformer = require('../transformers/mongoToFirestoreTransformer');
+const channelRegistry = require('../utils/channelRegistry');
+const logger = require('../utils/logger');
+const validator = require('../utils/validators');
+const constants = require('../utils/constants');
+
+class UserMigrationService {
+
+  /**
+   * Migrate every record of a user from the old WhatsApp ID to the new one
+   * @param {string} oldWhatsappId - WhatsApp ID before the number change
+   * @param {string} newWhatsappId - WhatsApp ID after the number change
+   * @returns {Promise<Object>} - Migration summary
+   */
+  async migrateWhatsappId(oldWhatsappId, newWhatsappId) {
+    validator.validateWhatsappId(oldWhatsappId);
+    validator.validateWhatsappId(newWhatsappId);
+
+    if (oldWhatsappId === newWhatsappId) {
+      return { migrated: false, reason: 'WhatsApp ID unchanged' };
+    }
+
+    // Hold the new ID as well so messages from the new number wait for the migration
+    // (reentrant: the webhook batch may already hold it when it contains such a message)
+    return userLockService.withUserLock(channelRegistry.scopeId(newWhatsappId), async () => {
+      const startTime = Date.now();
+
+      logger.info('UserMigrationService', 'Migrating user to new WhatsApp ID', { oldWhatsappId, newWhatsappId });
+
+      // 1. Storage media - a failed move aborts before any path is rewritten; the retry moves
+      // the files still under the old prefix
+      try {
+        const mediaResult = await mediaService.moveUserMediaFiles(oldWhatsappId, newWhatsappId);
+        logger.info('UserMigrationService', 'Media files moved', { movedCount: mediaResult.movedCount });
+      } catch (error) {
+        logger.error('UserMigrationService', `Media move failed, migration aborted: ${error.message}`, error);
+        throw error;
+      }
+
+      const rewritePath = (value) => PathGenerator.replaceWhatsappId(value, oldWhatsappId, newWhatsappId);
+
+      // 2. Conversation history
+      const conversation = await conversationService.migrateConversation(
+        oldWhatsappId,
+        newWhatsappId,
+        (message) => {
+          if (message.mediaData) {
+            message.mediaData.url = rewritePath(message.mediaData.url);
+          }
+          return message;
+        }
+      );
+
+      // 3. User document (LM assignment and lynnUserStatus carry over)
+      const user = await userService.migrateWhatsappId(oldWhatsappId, newWhatsappId);
+
+      // 4. Firestore user document and messages subcollection
+      if (constants.FIRESTORE.SYNC_ENABLED && user) {
+        await firestoreService.migrateUser(
+          oldWhatsappId,
+          newWhatsappId,
+          MongoToFirestoreTransformer.transformUser(user),
+          (messageData) => {
+            if (messageData.mediaData) {
+              messageData.mediaData.url = rewritePath(messageData.mediaData.url);
+              messageData.mediaData.storagePath = rewritePath(messageData.mediaData.storagePath);
+            }
+            return messageData;
+          }
+        );
+      }
+
+      logger.performance('MIGRATE_WHATSAPP_ID', Date.now() - startTime, {
+        oldWhatsappId,
+        newWhatsappId,
+        hasUser: !!user,
+        hasConversation: !!conversation
+      });
+
+      return {
+        migrated: !!user,
+        user,
+        conversation
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const userMigrationService = new UserMigrationService();
+
+module.exports = userMigrationService;
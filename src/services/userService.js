@@ -7,6 +7,7 @@ const { User } = require('../models');
 const logger = require('../utils/logger');
 const validator = require('../utils/validators');
 const constants = require('../utils/constants');
+const channelRegistry = require('../utils/channelRegistry');
 const firestoreSyncService = require('./firestoreSyncService'); // Firestore sync
 
 class UserService {
@@ -25,13 +26,13 @@ class UserService {
       logger.database('CREATE', this.modelName, { whatsappId: validatedData.whatsappId });
 
       // Check if user already exists
-      const existingUser = await User.findByWhatsappId(validatedData.whatsappId);
+      const existingUser = await User.findByWhatsappId(validatedData.whatsappId, channelRegistry.mongoFilter());
       if (existingUser) {
         throw new Error(`User with WhatsApp ID ${validatedData.whatsappId} already exists`);
       }
 
       // Create new user
-      const user = new User(validatedData);
+      const user = new User({ ...validatedData, channelId: channelRegistry.currentId() });
       const savedUser = await user.save();
 
       logger.success('UserService', `User created successfully`, { 
@@ -66,7 +67,7 @@ class UserService {
       
       logger.database('FIND', this.modelName, { whatsappId });
 
-      const user = await User.findByWhatsappId(whatsappId);
+      const user = await User.findByWhatsappId(whatsappId, channelRegistry.mongoFilter());
       
       if (!user) {
         logger.warn('UserService', `User not found`, { whatsappId });
@@ -122,7 +123,7 @@ class UserService {
   /**
    * Update user metrics for inbound messages (atomic operation)
    */
-  async updateUserMetrics(whatsappId, messageText, increment = 1) {
+  async updateUserMetrics(whatsappId, messageText, increment = 1, inboundAt = null) {
     try {
       validator.validateWhatsappId(whatsappId);
       validator.validateTextContent(messageText);
@@ -133,12 +134,12 @@ class UserService {
         increment 
       });
 
-      const user = await User.findOne({ whatsappId });
+      const user = await User.findOne({ whatsappId, ...channelRegistry.mongoFilter() });
       if (!user) {
         throw new Error(`User with WhatsApp ID ${whatsappId} not found`);
       }
 
-      const updatedUser = await user.updateUserMetrics(messageText, increment);
+      const updatedUser = await user.updateUserMetrics(messageText, increment, inboundAt);
 
       logger.success('UserService', `User metrics updated`, {
         whatsappId,
@@ -178,7 +179,7 @@ class UserService {
         increment 
       });
 
-      const user = await User.findOne({ whatsappId });
+      const user = await User.findOne({ whatsappId, ...channelRegistry.mongoFilter() });
       if (!user) {
         throw new Error(`User with WhatsApp ID ${whatsappId} not found`);
       }
@@ -223,7 +224,7 @@ class UserService {
         increment 
       });
 
-      const user = await User.findOne({ whatsappId });
+      const user = await User.findOne({ whatsappId, ...channelRegistry.mongoFilter() });
       if (!user) {
         throw new Error(`User with WhatsApp ID ${whatsappId} not found`);
       }
@@ -264,7 +265,7 @@ class UserService {
 
       logger.database('UPDATE_STATUS', this.modelName, { whatsappId, newStatus });
 
-      const user = await User.findOne({ whatsappId });
+      const user = await User.findOne({ whatsappId, ...channelRegistry.mongoFilter() });
       if (!user) {
         throw new Error(`User with WhatsApp ID ${whatsappId} not found`);
       }
@@ -302,7 +303,7 @@ class UserService {
     try {
       logger.database('FIND_ACTIVE', this.modelName, { limit, offset });
 
-      const users = await User.find({ isActive: true })
+      const users = await User.find({ isActive: true, ...channelRegistry.mongoFilter() })
         .sort({ updatedAt: -1 })
         .skip(offset)
         .limit(Math.min(limit, constants.PAGINATION.MAX_LIMIT))
@@ -332,7 +333,7 @@ class UserService {
       
       logger.database('FIND_BY_STATUS', this.modelName, { status, limit });
 
-      const users = await User.findByStatus(status, limit);
+      const users = await User.findByStatus(status, limit, channelRegistry.mongoFilter());
 
       logger.success('UserService', `Users by status retrieved`, { 
         status,
@@ -357,7 +358,7 @@ class UserService {
       logger.database('DEACTIVATE', this.modelName, { whatsappId });
 
       const updatedUser = await User.findOneAndUpdate(
-        { whatsappId },
+        { whatsappId, ...channelRegistry.mongoFilter() },
         { 
           $set: { 
             isActive: false,
@@ -401,7 +402,7 @@ class UserService {
       logger.database('REACTIVATE', this.modelName, { whatsappId });
 
       const updatedUser = await User.findOneAndUpdate(
-        { whatsappId },
+        { whatsappId, ...channelRegistry.mongoFilter() },
         { 
           $set: { 
             isActive: true,
@@ -461,7 +462,7 @@ class UserService {
       logger.database('UPDATE_PROFILE', this.modelName, { whatsappId, fields: Object.keys(updateData) });
 
       const updatedUser = await User.findOneAndUpdate(
-        { whatsappId },
+        { whatsappId, ...channelRegistry.mongoFilter() },
         { $set: updateData },
         { new: true, runValidators: true }
       );
@@ -506,7 +507,7 @@ class UserService {
       });
 
       const user = await User.findOneAndUpdate(
-        { whatsappId },
+        { whatsappId, ...channelRegistry.mongoFilter() },
         { 
           $set: {
             ...updateData,
@@ -537,6 +538,117 @@ class UserService {
     }
   }
 
+  /**
+   * Count a failed AI answer
+   * @returns {Promise<Object|null>} - Updated user (aiFailures.consecutiveCount is the new count)
+   */
+  async recordAiFailure(whatsappId, errorType) {
+    try {
+      validator.validateWhatsappId(whatsappId);
+
+      logger.database('RECORD_AI_FAILURE', this.modelName, { whatsappId, errorType });
+
+      const user = await User.findOneAndUpdate(
+        { whatsappId, ...channelRegistry.mongoFilter() },
+        {
+          $inc: { 'aiFailures.consecutiveCount': 1 },
+          $set: {
+            'aiFailures.lastErrorType': errorType,
+            'aiFailures.lastFailureAt': new Date()
+          }
+        },
+        { new: true }
+      );
+
+      if (user) {
+        logger.warn('UserService', 'AI failure recorded', {
+          whatsappId,
+          errorType,
+          consecutiveCount: user.aiFailures.consecutiveCount
+        });
+      }
+
+      return user;
+
+    } catch (error) {
+      logger.error('UserService', `Failed to record AI failure: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset the consecutive AI failure count after a successful answer
+   */
+  async resetAiFailures(whatsappId) {
+    try {
+      validator.validateWhatsappId(whatsappId);
+
+      logger.database('RESET_AI_FAILURES', this.modelName, { whatsappId });
+
+      return await User.findOneAndUpdate(
+        { whatsappId, ...channelRegistry.mongoFilter() },
+        { $set: { 'aiFailures.consecutiveCount': 0 } },
+        { new: true }
+      );
+
+    } catch (error) {
+      logger.error('UserService', `Failed to reset AI failures: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand the conversation to the NOC: HUMAN mode with no LM assigned and a pending escalation
+   * The escalation is also kept in escalationHistory (newest first, ESCALATION.HISTORY_LIMIT entries)
+   * @param {string} whatsappId - User's WhatsApp ID
+   * @param {Object} escalation - { status, reason, priority, details, summary, escalatedAt }
+   */
+  async escalateConversation(whatsappId, escalation) {
+    try {
+      validator.validateWhatsappId(whatsappId);
+
+      logger.database('ESCALATE_CONVERSATION', this.modelName, {
+        whatsappId,
+        reason: escalation.reason,
+        priority: escalation.priority
+      });
+
+      const user = await User.findOneAndUpdate(
+        { whatsappId, ...channelRegistry.mongoFilter() },
+        {
+          $set: {
+            conversationStatus: constants.CONVERSATION_STATUS.HUMAN,
+            assignedLmId: null,
+            escalation,
+            'aiFailures.consecutiveCount': 0,
+            updatedAt: new Date()
+          },
+          $push: {
+            escalationHistory: {
+              $each: [escalation],
+              $position: 0,
+              $slice: constants.ESCALATION.HISTORY_LIMIT
+            }
+          }
+        },
+        {
+          new: true,
+          runValidators: true
+        }
+      );
+
+      if (!user) {
+        throw new Error(`User with WhatsApp ID ${whatsappId} not found`);
+      }
+
+      return user;
+
+    } catch (error) {
+      logger.error('UserService', `Failed to escalate conversation: ${error.message}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get user's conversation status
    */
@@ -554,7 +666,8 @@ class UserService {
         conversationStatus: user.conversationStatus,
         assignedLmId: user.assignedLmId,
         lastTakeover: user.lastTakeover,
-        lastRelease: user.lastRelease
+        lastRelease: user.lastRelease,
+        escalation: user.escalation || null
       };
 
     } catch (error) {
@@ -580,7 +693,7 @@ class UserService {
       // });
 
       const updatedUser = await User.findOneAndUpdate(
-        { whatsappId },
+        { whatsappId, ...channelRegistry.mongoFilter() },
         { 
           $set: { 
             lynnUserStatus: validator.sanitizeString(lynnUserStatus, 50),
@@ -625,7 +738,7 @@ class UserService {
       });
 
       const updatedUser = await User.findOneAndUpdate(
-        { whatsappId },
+        { whatsappId, ...channelRegistry.mongoFilter() },
         { 
           $set: { 
             assignedToLm: assignedToLm,
@@ -651,6 +764,109 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Find user by a WhatsApp ID they used before changing number
+   */
+  async findUserByPreviousWhatsappId(whatsappId) {
+    try {
+      validator.validateWhatsappId(whatsappId);
+
+      logger.database('FIND_BY_ALIAS', this.modelName, { whatsappId });
+
+      return await User.findByPreviousWhatsappId(whatsappId, channelRegistry.mongoFilter());
+
+    } catch (error) {
+      logger.error('UserService', `Failed to find user by previous WhatsApp ID: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a user to a new WhatsApp ID after a number change (MongoDB only)
+   * The old ID is kept in previousWhatsappIds. If the new number already has a user record,
+   * the old record is folded into it, carrying over LM assignment, conversation status and lynnUserStatus.
+   */
+  async migrateWhatsappId(oldWhatsappId, newWhatsappId) {
+    try {
+      validator.validateWhatsappId(oldWhatsappId);
+      validator.validateWhatsappId(newWhatsappId);
+
+      logger.database('MIGRATE_WHATSAPP_ID', this.modelName, { oldWhatsappId, newWhatsappId });
+
+      const oldUser = await User.findByWhatsappId(oldWhatsappId, channelRegistry.mongoFilter());
+      const existingUser = await User.findByWhatsappId(newWhatsappId, channelRegistry.mongoFilter());
+
+      if (!oldUser) {
+        // Already migrated (or never stored) - nothing to move
+        return existingUser;
+      }
+
+      let migratedUser;
+
+      if (!existingUser) {
+        migratedUser = await User.findByIdAndUpdate(
+          oldUser._id,
+          {
+            $set: {
+              whatsappId: newWhatsappId,
+              phoneNumber: newWhatsappId
+            },
+            $addToSet: { previousWhatsappIds: oldWhatsappId }
+          },
+          { new: true, runValidators: true }
+        );
+      } else {
+        // The old ID lands in previousWhatsappIds in the same update as the counts, so a retry
+        // after a failed delete does not add them twice
+        migratedUser = await User.findOneAndUpdate(
+          { _id: existingUser._id, previousWhatsappIds: { $ne: oldWhatsappId } },
+          {
+            $set: {
+              assignedToLm: oldUser.assignedToLm,
+              assignedLmId: oldUser.assignedLmId,
+              lynnUserStatus: oldUser.lynnUserStatus,
+              conversationStatus: oldUser.conversationStatus,
+              lastTakeover: oldUser.lastTakeover,
+              lastRelease: oldUser.lastRelease,
+              displayName: existingUser.displayName || oldUser.displayName
+            },
+            $inc: {
+              'userMetrics.messageCount': oldUser.userMetrics?.messageCount || 0,
+              'aiMetrics.messageCount': oldUser.aiMetrics?.messageCount || 0,
+              'lmMetrics.messageCount': oldUser.lmMetrics?.messageCount || 0,
+              totalMessageCount: oldUser.totalMessageCount || 0
+            },
+            $addToSet: {
+              previousWhatsappIds: { $each: [oldWhatsappId, ...(oldUser.previousWhatsappIds || [])] }
+            }
+          },
+          { new: true, runValidators: true }
+        );
+
+        if (!migratedUser) {
+          logger.info('UserService', 'Old user already merged - finishing the migration', { oldWhatsappId, newWhatsappId });
+          migratedUser = existingUser;
+        }
+
+        await User.deleteOne({ _id: oldUser._id });
+      }
+
+      logger.success('UserService', 'User migrated to new WhatsApp ID', {
+        oldWhatsappId,
+        newWhatsappId,
+        mergedIntoExisting: !!existingUser,
+        assignedLmId: migratedUser.assignedLmId,
+        lynnUserStatus: migratedUser.lynnUserStatus
+      });
+
+      return migratedUser;
+
+    } catch (error) {
+      logger.error('UserService', `Failed to migrate WhatsApp ID: ${error.message}`, error);
+      throw error;
+    }
+  }
 }
 
 // Create singleton instance
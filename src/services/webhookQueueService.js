@@ -0,0 +1,297 @@
+/**
+ * Webhook Queue Service
+ * Durable Mongo-backed job queue for webhook changes
+ * The webhook controller enqueues each `change.value` and acknowledges Meta immediately;
+ * the worker here runs MessageProcessor with retries, exponential backoff and a dead-letter state
+ */
+
+const os = require('os');
+const { WebhookJob } = require('../models');
+const MessageProcessor = require('./messageProcessor');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+const QUEUE = constants.WEBHOOK_QUEUE;
+
+class WebhookQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.isRunning = false;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.pollRequested = false;
+    this.activeJobs = new Map(); // jobId -> Promise
+    this.handlers = {
+      messages: (payload) => MessageProcessor.processIncomingMessage(payload)
+    };
+  }
+
+  /**
+   * Persist a webhook change as a job
+   * @param {string} field - Webhook change field (e.g. 'messages')
+   * @param {Object} payload - The `change.value` object
+   * @returns {Promise<Object>} - Created job document
+   */
+  async enqueue(field, payload) {
+    try {
+      if (!this.handlers[field]) {
+        throw new Error(`No webhook handler registered for field: ${field}`);
+      }
+
+      const job = await WebhookJob.create({ field, payload });
+
+      logger.database('ENQUEUE', 'WebhookJob', {
+        jobId: job._id.toString(),
+        field,
+        messageCount: payload?.messages?.length || 0,
+        statusCount: payload?.statuses?.length || 0
+      });
+
+      // Wake the worker so the job does not wait for the next poll
+      this.schedulePoll(0);
+
+      return job;
+
+    } catch (error) {
+      logger.error('WebhookQueueService', `Failed to enqueue webhook job: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a webhook field can be queued
+   */
+  canHandle(field) {
+    return !!this.handlers[field];
+  }
+
+  /**
+   * Start the worker loop (recovers jobs left mid-flight by a previous crash)
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.info('WebhookQueueService', 'Worker already running');
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const recovered = await WebhookJob.recoverExpiredLeases();
+      if (recovered.modifiedCount > 0) {
+        logger.warn('WebhookQueueService', 'Recovered webhook jobs with expired leases', {
+          recoveredJobs: recovered.modifiedCount
+        });
+      }
+    } catch (error) {
+      logger.warn('WebhookQueueService', `Lease recovery failed: ${error.message}`);
+    }
+
+    logger.startup('WebhookQueue', 'Worker started', {
+      workerId: this.workerId,
+      concurrency: QUEUE.CONCURRENCY
+    });
+
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Stop claiming new jobs and wait for in-flight jobs to finish
+   */
+  async stop() {
+    this.isRunning = false;
+
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.activeJobs.size > 0) {
+      logger.info('WebhookQueueService', `Waiting for ${this.activeJobs.size} in-flight jobs...`);
+      await Promise.allSettled(Array.from(this.activeJobs.values()));
+    }
+
+    logger.info('WebhookQueueService', 'Worker stopped', { workerId: this.workerId });
+  }
+
+  /**
+   * Schedule the next poll (a pending poll is replaced by an earlier one)
+   */
+  schedulePoll(delay = QUEUE.POLL_INTERVAL) {
+    if (!this.isRunning) {
+      return;
+    }
+
+    // A poll in progress re-schedules itself when it finishes
+    if (this.isPolling) {
+      this.pollRequested = this.pollRequested || delay === 0;
+      return;
+    }
+
+    if (this.pollTimer) {
+      if (delay > 0) {
+        return;
+      }
+      clearTimeout(this.pollTimer);
+    }
+
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.poll().catch(error => {
+        logger.error('WebhookQueueService', `Poll failed: ${error.message}`, error);
+        this.schedulePoll();
+      });
+    }, delay);
+  }
+
+  /**
+   * Claim jobs up to the concurrency limit
+   */
+  async poll() {
+    this.isPolling = true;
+    this.pollRequested = false;
+
+    try {
+      while (this.isRunning && this.activeJobs.size < QUEUE.CONCURRENCY) {
+        const job = await WebhookJob.claimNext(this.workerId, QUEUE.LEASE_DURATION);
+
+        if (!job) {
+          break;
+        }
+
+        const jobId = job._id.toString();
+        const run = this.runJob(job).finally(() => {
+          this.activeJobs.delete(jobId);
+          this.schedulePoll(0);
+        });
+
+        this.activeJobs.set(jobId, run);
+      }
+    } finally {
+      this.isPolling = false;
+    }
+
+    this.schedulePoll(this.pollRequested ? 0 : QUEUE.POLL_INTERVAL);
+  }
+
+  /**
+   * Run a claimed job, renewing its lease while it executes
+   */
+  async runJob(job) {
+    const jobId = job._id.toString();
+    const startTime = Date.now();
+
+    const leaseTimer = setInterval(() => {
+      WebhookJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockedUntil: new Date(Date.now() + QUEUE.LEASE_DURATION) } }
+      ).exec().catch(error => {
+        logger.warn('WebhookQueueService', 'Failed to renew job lease', { jobId, error: error.message });
+      });
+    }, QUEUE.LEASE_RENEW_INTERVAL);
+
+    try {
+      logger.info('WebhookQueueService', 'Processing webhook job', {
+        jobId,
+        field: job.field,
+        attempt: job.attempts,
+        maxAttempts: job.maxAttempts
+      });
+
+      await this.handlers[job.field](job.payload);
+
+      await WebhookJob.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: QUEUE.JOB_STATUS.COMPLETED,
+            completedAt: new Date(),
+            lockedBy: null,
+            lockedUntil: null
+          }
+        }
+      ).exec();
+
+      logger.performance('WEBHOOK_JOB', Date.now() - startTime, { jobId, attempt: job.attempts });
+
+    } catch (error) {
+      await this.handleFailure(job, error);
+    } finally {
+      clearInterval(leaseTimer);
+    }
+  }
+
+  /**
+   * Schedule a retry with exponential backoff or move the job to the dead-letter state
+   */
+  async handleFailure(job, error) {
+    const jobId = job._id.toString();
+    const isExhausted = job.attempts >= job.maxAttempts;
+
+    const update = {
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: {
+        message: error.message,
+        stack: error.stack,
+        timestamp: new Date()
+      }
+    };
+
+    if (isExhausted) {
+      update.status = QUEUE.JOB_STATUS.DEAD_LETTER;
+    } else {
+      update.status = QUEUE.JOB_STATUS.PENDING;
+      // An error can ask for a later retry (e.g. a ledger claim that has not gone stale yet)
+      const delay = Math.max(this.getBackoffDelay(job.attempts), error.retryAfterMs || 0);
+      update.nextAttemptAt = new Date(Date.now() + delay);
+    }
+
+    try {
+      await WebhookJob.updateOne({ _id: job._id }, { $set: update }).exec();
+    } catch (updateError) {
+      // Lease expiry will hand the job to another worker
+      logger.error('WebhookQueueService', `Failed to record job failure: ${updateError.message}`, updateError);
+    }
+
+    if (isExhausted) {
+      logger.error(
+        'WebhookQueueService',
+        `Webhook job ${jobId} moved to dead letter after ${job.attempts} attempts`,
+        error
+      );
+    } else {
+      logger.warn('WebhookQueueService', 'Webhook job failed, retry scheduled', {
+        jobId,
+        attempt: job.attempts,
+        nextAttemptAt: update.nextAttemptAt,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Exponential backoff delay for the given attempt number (1-based)
+   */
+  getBackoffDelay(attempt) {
+    const delay = QUEUE.BACKOFF_BASE_DELAY * Math.pow(2, Math.max(attempt - 1, 0));
+    return Math.min(delay, QUEUE.BACKOFF_MAX_DELAY);
+  }
+
+  /**
+   * Queue statistics for monitoring
+   */
+  async getStats() {
+    return {
+      workerId: this.workerId,
+      isRunning: this.isRunning,
+      activeJobs: this.activeJobs.size,
+      jobs: await WebhookJob.getQueueStats()
+    };
+  }
+}
+
+// Create singleton instance
+const webhookQueueService = new WebhookQueueService();
+
+module.exports = webhookQueueService;
@@ -1,20 +1,42 @@
-const axios = require('axios');
-const dotenv = require('dotenv');
-dotenv.config();
+const graphApiClient = require('./graphApiClient');
+const outboundGovernorService = require('./outboundGovernorService');
+const channelRegistry = require('../utils/channelRegistry');
 
 class WhatsAppService {
     
-    static async sendMessage(to, message, type = 'text') {
+    /**
+     * POST a message payload through the outbound governor (rate limits + priority lanes)
+     * The channel is resolved here, because queued sends may run outside the caller's context
+     * @param {string} to - Recipient WhatsApp ID
+     * @param {Object} payload - Graph message payload
+     * @param {string} priority - OUTBOUND_GOVERNOR.PRIORITY lane (defaults to the AI lane)
+     * @returns {Promise<Object>} - API response
+     */
+    static postMessage(to, payload, priority) {
+        const channel = channelRegistry.current();
+        
+        return outboundGovernorService.schedule(
+            { to, priority, phoneNumberId: channel.phoneNumberId },
+            () => graphApiClient.post(graphApiClient.messagesPath(channel), payload, { channel })
+        );
+    }
+    
+    /**
+     * Send a text message
+     * @param {string} to - Recipient WhatsApp ID
+     * @param {string} message - Message text
+     * @param {string} type - Message type (text only)
+     * @param {string} contextMessageId - Optional WhatsApp message ID to quote
+     * @param {Object} options - { priority } outbound governor lane
+     * @returns {Promise<Object>} - API response
+     */
+    static async sendMessage(to, message, type = 'text', contextMessageId = null, options = {}) {
         try {
             console.log('🚨 === WHATSAPP Send MESSAGE ===');
             // console.log(`📤 Preparing to send message to ${to}`);
             // console.log(`💬 Message: ${message}`);
             // console.log(`📝 Type: ${type}`);
             
-            const url = `https://graph.facebook.com/v20.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-            // console.log('🔗 API URL:', url);
-            // console.log('📞 Phone Number ID:', process.env.WHATSAPP_PHONE_NUMBER_ID);
-            
             const payload = {
                 messaging_product: 'whatsapp',
                 to: to,
@@ -24,31 +46,23 @@ class WhatsAppService {
                 }
             };
             
-            // console.log('📦 Request payload:', JSON.stringify(payload, null, 2));
-            
-            const config = {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            };
+            // Quote an earlier message - WhatsApp shows it as a reply bubble
+            if (contextMessageId) {
+                payload.context = {
+                    message_id: contextMessageId
+                };
+            }
             
-            // console.log('🔧 Request config (token masked):', JSON.stringify({
-            //     headers: {
-            //         'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN ? process.env.WHATSAPP_ACCESS_TOKEN.substring(0, 20) + '...' : 'NOT_SET'}`,
-            //         'Content-Type': config.headers['Content-Type']
-            //     }
-            // }, null, 2));
+            // console.log('📦 Request payload:', JSON.stringify(payload, null, 2));
             
             console.log(`📡 Making API request to WhatsApp...`);
             
-            const response = await axios.post(url, payload, config);
+            const response = await WhatsAppService.postMessage(to, payload, options.priority);
             
-            // console.log('✅ WhatsApp API Response Status:', response.status);
-            // console.log('✅ WhatsApp API Response Data:', JSON.stringify(response.data, null, 2));
+            // console.log('✅ WhatsApp API Response Data:', JSON.stringify(response, null, 2));
             console.log('🚨 === WHATSAPP SEND COMPLETE ===\n');
             
-            return response.data;
+            return response;
             
         } catch (error) {
             console.error('❌ === WHATSAPP SEND ERROR ===');
@@ -68,6 +82,203 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Send an interactive reply-button or list message
+     * @param {string} to - Recipient WhatsApp ID
+     * @param {Object} interactive - Graph `interactive` object (type, body, action, ...)
+     * @param {string} contextMessageId - Optional WhatsApp message ID to quote
+     * @param {Object} options - { priority } outbound governor lane
+     * @returns {Promise<Object>} - API response
+     */
+    static async sendInteractiveMessage(to, interactive, contextMessageId = null, options = {}) {
+        try {
+            console.log(`🔘 Sending interactive ${interactive.type} message to ${to}`);
+            
+            const payload = {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: 'interactive',
+                interactive: interactive
+            };
+            
+            if (contextMessageId) {
+                payload.context = {
+                    message_id: contextMessageId
+                };
+            }
+            
+            const response = await WhatsAppService.postMessage(to, payload, options.priority);
+            console.log(`✅ Interactive ${interactive.type} message sent to ${to}`);
+            return response;
+            
+        } catch (error) {
+            console.error(`❌ Failed to send interactive message to ${to}:`, error.message);
+            if (error.response) {
+                console.error('Interactive Message Error:', error.response.data);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a media file to the Graph media endpoint
+     * @param {Buffer} buffer - File contents
+     * @param {string} mimeType - MIME type
+     * @param {string} filename - File name shown to the recipient (documents)
+     * @returns {Promise<string>} - WhatsApp media ID
+     */
+    static async uploadMedia(buffer, mimeType, filename) {
+        try {
+            console.log(`📤 Uploading media to WhatsApp (${mimeType}, ${buffer.length} bytes)`);
+            
+            const form = new FormData();
+            form.append('messaging_product', 'whatsapp');
+            form.append('type', mimeType);
+            form.append('file', new Blob([buffer], { type: mimeType }), filename);
+            
+            const response = await graphApiClient.post(graphApiClient.mediaPath(), form, {
+                maxBodyLength: Infinity
+            });
+            
+            console.log(`✅ Media uploaded: ${response.id}`);
+            return response.id;
+            
+        } catch (error) {
+            console.error('❌ Media upload failed:', error.message);
+            if (error.response) {
+                console.error('Media Upload Error:', error.response.data);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send an image, document, audio or video message
+     * @param {string} to - Recipient WhatsApp ID
+     * @param {string} mediaType - 'image' | 'document' | 'audio' | 'video'
+     * @param {Object} media - { id } of an uploaded file or { link } to a public URL
+     * @param {Object} options - { caption, filename, contextMessageId, priority }
+     * @returns {Promise<Object>} - API response
+     */
+    static async sendMediaMessage(to, mediaType, media, options = {}) {
+        try {
+            console.log(`📎 Sending ${mediaType} message to ${to}`);
+            
+            const mediaObject = media.id ? { id: media.id } : { link: media.link };
+            if (options.caption && mediaType !== 'audio') {
+                mediaObject.caption = options.caption;
+            }
+            if (options.filename && mediaType === 'document') {
+                mediaObject.filename = options.filename;
+            }
+            
+            const payload = {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: mediaType,
+                [mediaType]: mediaObject
+            };
+            
+            if (options.contextMessageId) {
+                payload.context = {
+                    message_id: options.contextMessageId
+                };
+            }
+            
+            const response = await WhatsAppService.postMessage(to, payload, options.priority);
+            console.log(`✅ ${mediaType} message sent to ${to}`);
+            return response;
+            
+        } catch (error) {
+            console.error(`❌ Failed to send ${mediaType} message to ${to}:`, error.message);
+            if (error.response) {
+                console.error('Media Message Error:', error.response.data);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send an approved template message (allowed outside the 24-hour customer service window)
+     * @param {string} to - Recipient WhatsApp ID
+     * @param {string} templateName - Approved template name
+     * @param {string} languageCode - Template language (e.g. 'en', 'en_US')
+     * @param {Array<Object>} components - Graph template components (header/body/button parameters)
+     * @param {Object} options - { priority } outbound governor lane
+     * @returns {Promise<Object>} - API response
+     */
+    static async sendTemplateMessage(to, templateName, languageCode, components = [], options = {}) {
+        try {
+            console.log(`📋 Sending template "${templateName}" (${languageCode}) to ${to}`);
+            
+            const payload = {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: 'template',
+                template: {
+                    name: templateName,
+                    language: {
+                        code: languageCode
+                    }
+                }
+            };
+            
+            if (components.length > 0) {
+                payload.template.components = components;
+            }
+            
+            const response = await WhatsAppService.postMessage(to, payload, options.priority);
+            console.log(`✅ Template "${templateName}" sent to ${to}`);
+            return response;
+            
+        } catch (error) {
+            console.error(`❌ Failed to send template "${templateName}" to ${to}:`, error.message);
+            if (error.response) {
+                console.error('Template Message Error:', error.response.data);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * React to a message with an emoji (an empty emoji removes the reaction)
+     * @param {string} to - Recipient WhatsApp ID
+     * @param {string} messageId - WhatsApp message ID to react to
+     * @param {string} emoji - Emoji, or '' to remove
+     * @param {Object} options - { priority } outbound governor lane
+     * @returns {Promise<Object>} - API response
+     */
+    static async sendReaction(to, messageId, emoji, options = {}) {
+        try {
+            console.log(`${emoji ? '😀' : '🚫'} Sending reaction "${emoji}" to message ${messageId} (${to})`);
+            
+            const payload = {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: 'reaction',
+                reaction: {
+                    message_id: messageId,
+                    emoji: emoji
+                }
+            };
+            
+            const response = await WhatsAppService.postMessage(to, payload, options.priority);
+            console.log(`✅ Reaction sent to ${to}`);
+            return response;
+            
+        } catch (error) {
+            console.error(`❌ Failed to send reaction to ${to}:`, error.message);
+            if (error.response) {
+                console.error('Reaction Error:', error.response.data);
+            }
+            throw error;
+        }
+    }
+
     /**
      * Download media file from WhatsApp using media ID
      * @param {string} mediaId - WhatsApp media ID
@@ -79,38 +290,29 @@ class WhatsAppService {
             // console.log(`📥 Downloading media with ID: ${mediaId}`);
             
             // Step 1: Get media URL from WhatsApp API
-            const mediaUrlEndpoint = `https://graph.facebook.com/v20.0/${mediaId}`;
-            // console.log('🔗 Getting media URL from:', mediaUrlEndpoint);
-            
-            const mediaUrlResponse = await axios.get(mediaUrlEndpoint, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`
-                }
-            });
+            // console.log('🔗 Getting media URL for:', mediaId);
+            const mediaUrlResponse = await graphApiClient.get(mediaId);
             
-            // console.log('✅ Media URL response:', JSON.stringify(mediaUrlResponse.data, null, 2));
-            const mediaUrl = mediaUrlResponse.data.url;
-            const mimeType = mediaUrlResponse.data.mime_type;
-            const fileSize = mediaUrlResponse.data.file_size;
+            // console.log('✅ Media URL response:', JSON.stringify(mediaUrlResponse, null, 2));
+            const mediaUrl = mediaUrlResponse.url;
+            const mimeType = mediaUrlResponse.mime_type;
+            const fileSize = mediaUrlResponse.file_size;
             
             // Step 2: Download actual media file
             // console.log('📥 Downloading media file from:', mediaUrl);
-            const mediaResponse = await axios.get(mediaUrl, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`
-                },
+            const mediaData = await graphApiClient.get(mediaUrl, {
                 responseType: 'arraybuffer',
                 timeout: 30000 // 30 seconds timeout for media download
             });
             
             console.log('✅ Media downloaded successfully');
-            // console.log(`📊 File size: ${mediaResponse.data.byteLength} bytes`);
+            // console.log(`📊 File size: ${mediaData.byteLength} bytes`);
             // console.log(`📋 MIME type: ${mimeType}`);
             
             const result = {
-                buffer: Buffer.from(mediaResponse.data),
+                buffer: Buffer.from(mediaData),
                 mimeType: mimeType,
-                fileSize: fileSize || mediaResponse.data.byteLength,
+                fileSize: fileSize || mediaData.byteLength,
                 filename: `media_${Date.now()}.${this.getFileExtension(mimeType)}`
             };
             
@@ -140,8 +342,6 @@ class WhatsAppService {
         try {
             console.log(`🔵 Combined operation: Marking message ${messageId} as read + showing typing to ${phoneNumber}`);
             
-            const url = `https://graph.facebook.com/v24.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-            
             const payload = {
                 messaging_product: "whatsapp",
                 status: "read",
@@ -149,16 +349,9 @@ class WhatsAppService {
                 typing_indicator: { type: "text" }
             };
             
-            const config = {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            };
-            
-            const response = await axios.post(url, payload, config);
+            const response = await graphApiClient.post(graphApiClient.messagesPath(), payload);
             console.log(`✅ Combined operation successful for message ${messageId}`);
-            return response.data;
+            return response;
             
         } catch (error) {
             console.error(`❌ Combined operation failed for message ${messageId}:`, error.message);
@@ -178,24 +371,15 @@ class WhatsAppService {
         try {
             console.log(`📖 Marking message as read: ${messageId}`);
             
-            const url = `https://graph.facebook.com/v24.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-            
             const payload = {
                 messaging_product: "whatsapp",
                 status: "read",
                 message_id: messageId
             };
             
-            const config = {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            };
-            
-            const response = await axios.post(url, payload, config);
+            const response = await graphApiClient.post(graphApiClient.messagesPath(), payload);
             console.log(`✅ Message ${messageId} marked as read`);
-            return response.data;
+            return response;
             
         } catch (error) {
             console.error(`❌ Failed to mark message ${messageId} as read:`, error.message);
@@ -215,8 +399,6 @@ class WhatsAppService {
         try {
             console.log(`⌨️ Showing typing indicator to: ${phoneNumber}`);
             
-            const url = `https://graph.facebook.com/v24.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-            
             const payload = {
                 messaging_product: "whatsapp",
                 recipient_type: "individual",
@@ -227,16 +409,9 @@ class WhatsAppService {
                 }
             };
             
-            const config = {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            };
-            
-            const response = await axios.post(url, payload, config);
+            const response = await graphApiClient.post(graphApiClient.messagesPath(), payload);
             console.log(`✅ Typing indicator shown to ${phoneNumber}`);
-            return response.data;
+            return response;
             
         } catch (error) {
             console.error(`❌ Failed to show typing indicator to ${phoneNumber}:`, error.message);
@@ -0,0 +1,527 @@
+/**
+ * WhatsApp Simulator Service (development only)
+ * Builds Meta-shaped webhook bodies from simplified payloads and captures outbound
+ * Graph API calls into an in-memory outbox instead of sending them to Meta.
+ * Capturing is done with an axios request interceptor, so every caller of the Graph API
+ * (whatsappService, whatsappStatusService, media downloads) is covered without changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const channelRegistry = require('../utils/channelRegistry');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+const SIMULATOR = constants.SIMULATOR;
+
+// 1x1 transparent PNG used when a simulated image has no data
+const PLACEHOLDER_PNG_BASE64 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const MEDIA_MESSAGE_TYPES = ['image', 'document', 'audio', 'video', 'sticker'];
+
+class WhatsAppSimulatorService {
+  constructor() {
+    this.interceptorId = null;
+    this.outbox = [];
+    this.media = new Map(); // mediaId -> { buffer, mimeType, filename }
+    this.sequence = 0;
+  }
+
+  /**
+   * Check whether the simulator may be used (WHATSAPP_SIMULATOR_ENABLED and not production)
+   */
+  isEnabled() {
+    return SIMULATOR.ENABLED;
+  }
+
+  /**
+   * Start capturing Graph API requests
+   */
+  install() {
+    if (!this.isEnabled()) {
+      throw new Error('WhatsApp simulator is disabled (set WHATSAPP_SIMULATOR_ENABLED=true outside production)');
+    }
+
+    if (this.interceptorId !== null) {
+      return;
+    }
+
+    this.interceptorId = axios.interceptors.request.use((config) => {
+      if (this.isGraphRequest(config)) {
+        config.adapter = (requestConfig) => this.handleGraphRequest(requestConfig);
+      }
+      return config;
+    });
+
+    logger.warn('WhatsAppSimulator', 'Simulator active - Graph API calls are captured and NOT sent to Meta', {
+      graphHost: SIMULATOR.GRAPH_HOST
+    });
+  }
+
+  /**
+   * Stop capturing Graph API requests
+   */
+  uninstall() {
+    if (this.interceptorId !== null) {
+      axios.interceptors.request.eject(this.interceptorId);
+      this.interceptorId = null;
+    }
+  }
+
+  /**
+   * Check whether a request targets the Graph API
+   */
+  isGraphRequest(config) {
+    try {
+      return new URL(config.url, config.baseURL).host === SIMULATOR.GRAPH_HOST;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Fake Graph API - records the request and answers the way Meta would
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} - axios response
+   */
+  async handleGraphRequest(config) {
+    const method = (config.method || 'get').toLowerCase();
+    const segments = new URL(config.url, config.baseURL).pathname.split('/').filter(Boolean);
+
+    // Media binary download (URL handed out by the media info request below)
+    if (method === 'get' && segments[0] === 'simulator' && segments[1] === 'media') {
+      const media = this.media.get(segments[2]);
+      if (!media) {
+        throw this.createGraphError(config, 404, `Unknown simulated media: ${segments[2]}`);
+      }
+      return this.createResponse(config, media.buffer);
+    }
+
+    // Media info lookup: GET /{version}/{mediaId}
+    if (method === 'get' && segments.length === 2) {
+      const mediaId = segments[1];
+      const media = this.media.get(mediaId);
+      if (!media) {
+        throw this.createGraphError(config, 404, `Unknown simulated media: ${mediaId}`);
+      }
+      return this.createResponse(config, {
+        messaging_product: 'whatsapp',
+        id: mediaId,
+        url: `https://${SIMULATOR.GRAPH_HOST}/simulator/media/${mediaId}`,
+        mime_type: media.mimeType,
+        file_size: media.buffer.length
+      });
+    }
+
+    const payload = this.parseRequestBody(config.data);
+    const endpoint = segments[segments.length - 1];
+
+    // Media upload: POST /{version}/{phoneNumberId}/media
+    if (method === 'post' && endpoint === 'media') {
+      const mediaId = this.generateId('SIMMEDIA');
+      this.recordOutbound({ method, endpoint, phoneNumberId: segments[1], type: 'media_upload', payload });
+      return this.createResponse(config, { id: mediaId });
+    }
+
+    // Messages: POST /{version}/{phoneNumberId}/messages
+    if (method === 'post' && endpoint === 'messages') {
+      // Read receipts and typing indicators
+      if (payload?.status) {
+        this.recordOutbound({
+          method,
+          endpoint,
+          phoneNumberId: segments[1],
+          type: payload.typing_indicator ? 'read_and_typing' : 'read',
+          payload
+        });
+        return this.createResponse(config, { success: true });
+      }
+
+      const messageId = this.generateId('wamid.SIM');
+      this.recordOutbound({
+        method,
+        endpoint,
+        phoneNumberId: segments[1],
+        to: payload?.to,
+        type: payload?.type || 'text',
+        messageId,
+        payload
+      });
+
+      return this.createResponse(config, {
+        messaging_product: 'whatsapp',
+        contacts: [{ input: payload?.to, wa_id: payload?.to }],
+        messages: [{ id: messageId }]
+      });
+    }
+
+    // Anything else is captured and acknowledged
+    this.recordOutbound({ method, endpoint, type: 'other', url: config.url, payload });
+    return this.createResponse(config, { success: true });
+  }
+
+  /**
+   * Parse an axios request body (already serialized by axios)
+   */
+  parseRequestBody(data) {
+    if (!data) {
+      return null;
+    }
+
+    if (typeof data === 'string') {
+      try {
+        return JSON.parse(data);
+      } catch (error) {
+        return { raw: data };
+      }
+    }
+
+    // Multipart uploads and streams are not inspected
+    return typeof data === 'object' && data.constructor === Object ? data : { raw: '[binary body]' };
+  }
+
+  /**
+   * Build an axios response object
+   */
+  createResponse(config, data, status = 200) {
+    return {
+      data,
+      status,
+      statusText: 'OK',
+      headers: {},
+      config,
+      request: {}
+    };
+  }
+
+  /**
+   * Build an axios error shaped like a Graph API error
+   */
+  createGraphError(config, status, message) {
+    const response = {
+      data: { error: { message, type: 'SimulatorException', code: 100 } },
+      status,
+      statusText: 'Error',
+      headers: {},
+      config,
+      request: {}
+    };
+
+    return new axios.AxiosError(message, 'ERR_BAD_REQUEST', config, {}, response);
+  }
+
+  /**
+   * Add an entry to the outbox (bounded by OUTBOX_LIMIT)
+   */
+  recordOutbound(entry) {
+    const record = {
+      id: this.generateId('OUT'),
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+
+    this.outbox.push(record);
+    if (this.outbox.length > SIMULATOR.OUTBOX_LIMIT) {
+      this.outbox.splice(0, this.outbox.length - SIMULATOR.OUTBOX_LIMIT);
+    }
+
+    logger.debug('WhatsAppSimulator', 'Captured outbound Graph request', {
+      type: record.type,
+      to: record.to
+    });
+
+    return record;
+  }
+
+  /**
+   * Get captured outbound requests
+   * @param {Object} filters - { to, type, limit }
+   * @returns {Array<Object>} - Outbox entries, oldest first
+   */
+  getOutbox(filters = {}) {
+    let entries = this.outbox;
+
+    if (filters.to) {
+      entries = entries.filter(entry => entry.to === filters.to);
+    }
+
+    if (filters.type) {
+      entries = entries.filter(entry => entry.type === filters.type);
+    }
+
+    if (filters.limit) {
+      entries = entries.slice(-filters.limit);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Empty the outbox
+   * @returns {number} - Number of removed entries
+   */
+  clearOutbox() {
+    const count = this.outbox.length;
+    this.outbox = [];
+    return count;
+  }
+
+  /**
+   * Register media so the simulated Graph API can serve it for download
+   * @returns {string} - Simulated media ID
+   */
+  registerMedia(buffer, mimeType, filename = null) {
+    const mediaId = this.generateId('SIMMEDIA');
+    this.media.set(mediaId, { buffer, mimeType, filename });
+    return mediaId;
+  }
+
+  /**
+   * Generate a unique identifier
+   */
+  generateId(prefix) {
+    this.sequence += 1;
+    return `${prefix}${Date.now()}${this.sequence}`;
+  }
+
+  /**
+   * Build a Meta-shaped inbound message from a simplified payload
+   * @param {Object} input - { from, type, text, caption, media, latitude, longitude, ... }
+   * @returns {Object} - Message object as found in `value.messages[]`
+   */
+  buildMessage(input) {
+    const type = input.type || 'text';
+    const message = {
+      from: input.from,
+      id: input.messageId || this.generateId('wamid.SIMIN'),
+      timestamp: Math.floor(Date.now() / 1000).toString(),
+      type
+    };
+
+    if (input.replyTo) {
+      message.context = {
+        from: SIMULATOR.BUSINESS_PHONE_NUMBER,
+        id: input.replyTo
+      };
+    }
+
+    if (MEDIA_MESSAGE_TYPES.includes(type)) {
+      message[type] = this.buildMediaContent(type, input);
+      return message;
+    }
+
+    switch (type) {
+      case 'text':
+        message.text = { body: input.text || '' };
+        break;
+
+      case 'location':
+        if (input.latitude === undefined || input.longitude === undefined) {
+          throw new Error('latitude and longitude are required for location messages');
+        }
+        message.location = {
+          latitude: Number(input.latitude),
+          longitude: Number(input.longitude),
+          name: input.locationName,
+          address: input.address
+        };
+        break;
+
+      case 'interactive':
+        if (input.listReply) {
+          message.interactive = { type: 'list_reply', list_reply: input.listReply };
+        } else {
+          message.interactive = { type: 'button_reply', button_reply: input.buttonReply || {} };
+        }
+        break;
+
+      case 'button':
+        message.button = { text: input.text || '', payload: input.payload || input.text || '' };
+        break;
+
+      case 'reaction':
+        message.reaction = { message_id: input.reactToMessageId, emoji: input.emoji || '' };
+        break;
+
+      default:
+        throw new Error(`Unsupported simulated message type: ${type}`);
+    }
+
+    return message;
+  }
+
+  /**
+   * Build the media part of a simulated message and register its bytes
+   */
+  buildMediaContent(type, input) {
+    const media = input.media || {};
+    let buffer;
+    let mimeType = media.mimeType;
+
+    if (media.data) {
+      buffer = Buffer.from(media.data, 'base64');
+    } else if (type === 'image') {
+      buffer = Buffer.from(PLACEHOLDER_PNG_BASE64, 'base64');
+      mimeType = mimeType || 'image/png';
+    } else {
+      throw new Error(`media.data (base64) is required for ${type} messages`);
+    }
+
+    if (!mimeType) {
+      throw new Error(`media.mimeType is required for ${type} messages`);
+    }
+
+    const content = {
+      id: this.registerMedia(buffer, mimeType, media.filename),
+      mime_type: mimeType
+    };
+
+    if (input.caption) {
+      content.caption = input.caption;
+    }
+    if (type === 'document') {
+      content.filename = media.filename || 'document';
+    }
+    if (type === 'audio') {
+      content.voice = media.voice !== false;
+    }
+
+    return content;
+  }
+
+  /**
+   * Build a complete webhook body around a single inbound message
+   * @param {Object} input - Simplified payload (see buildMessage) plus `name` and `channelId`
+   * @returns {Object} - Webhook body as POSTed by Meta
+   */
+  buildWebhookBody(input) {
+    if (!input || !input.from) {
+      throw new Error('from is required');
+    }
+
+    // The business number the user writes to (default channel unless channelId is given)
+    const channel = channelRegistry.getChannel(input.channelId);
+    if (!channel) {
+      throw new Error(`Unknown channel: ${input.channelId}`);
+    }
+
+    const message = this.buildMessage(input);
+
+    return {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'SIMULATOR_WABA',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: {
+              display_phone_number: SIMULATOR.BUSINESS_PHONE_NUMBER,
+              phone_number_id: channel.phoneNumberId || 'SIMULATOR_PHONE_NUMBER_ID'
+            },
+            contacts: [{
+              profile: { name: input.name || 'Simulator User' },
+              wa_id: input.from
+            }],
+            messages: [message]
+          }
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Resolve the fixtures directory
+   */
+  getFixturesDir() {
+    return path.resolve(process.cwd(), SIMULATOR.FIXTURES_DIR);
+  }
+
+  /**
+   * List stored webhook fixtures
+   * @returns {Promise<Array<string>>} - Fixture names (without .json)
+   */
+  async listFixtures() {
+    try {
+      const files = await fs.promises.readdir(this.getFixturesDir());
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a stored webhook fixture
+   * Fixtures may hold a full webhook body or a single `change.value`
+   * @param {string} name - Fixture name (with or without .json)
+   * @returns {Promise<Object>} - Webhook body
+   */
+  async loadFixture(name) {
+    const fileName = `${path.basename(name, '.json')}.json`;
+    const filePath = path.join(this.getFixturesDir(), fileName);
+
+    let raw;
+    try {
+      raw = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        const notFound = new Error(`Fixture not found: ${fileName}`);
+        notFound.code = constants.ERROR_CODES.RESOURCE_NOT_FOUND;
+        throw notFound;
+      }
+      throw error;
+    }
+
+    return this.normalizeWebhookBody(JSON.parse(raw));
+  }
+
+  /**
+   * Wrap a bare `change.value` into a full webhook body
+   */
+  normalizeWebhookBody(body) {
+    if (body && body.object === 'whatsapp_business_account') {
+      return body;
+    }
+
+    if (body && body.messaging_product === 'whatsapp') {
+      return {
+        object: 'whatsapp_business_account',
+        entry: [{ id: 'SIMULATOR_WABA', changes: [{ field: 'messages', value: body }] }]
+      };
+    }
+
+    throw new Error('Fixture is neither a webhook body nor a messages change value');
+  }
+
+  /**
+   * Give replayed inbound messages new IDs so the de-duplication ledger does not skip them
+   * @param {Object} body - Webhook body
+   * @returns {Object} - Copy of the body with fresh message IDs
+   */
+  refreshMessageIds(body) {
+    const copy = JSON.parse(JSON.stringify(body));
+
+    for (const entry of copy.entry || []) {
+      for (const change of entry.changes || []) {
+        for (const message of change.value?.messages || []) {
+          message.id = this.generateId('wamid.SIMREPLAY');
+        }
+      }
+    }
+
+    return copy;
+  }
+}
+
+// Create singleton instance
+const whatsappSimulatorService = new WhatsAppSimulatorService();
+
+module.exports = whatsappSimulatorService;
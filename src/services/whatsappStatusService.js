@@ -1,11 +1,11 @@
-const axios = require('axios');
-const dotenv = require('dotenv');
-dotenv.config();
+const graphApiClient = require('./graphApiClient');
+const channelRegistry = require('../utils/channelRegistry');
+const constants = require('../utils/constants');
 
 /**
  * WhatsApp Status Service
  * Handles marking messages as read and showing typing indicators
- * Based on Meta Graph API v24.0+ features
+ * Based on Meta Graph API v24.0+ features (version configured in constants.GRAPH_API)
  */
 class WhatsAppStatusService {
     
@@ -23,13 +23,13 @@ class WhatsAppStatusService {
         console.log(`📞 Phone Number: ${phoneNumber}`);
         
         // Debug: Check environment variables
-        console.log(`🔧 Phone Number ID: ${process.env.WHATSAPP_PHONE_NUMBER_ID ? process.env.WHATSAPP_PHONE_NUMBER_ID.substring(0, 10) + '...' : 'NOT_SET'}`);
-        console.log(`🔧 Access Token: ${process.env.WHATSAPP_ACCESS_TOKEN ? process.env.WHATSAPP_ACCESS_TOKEN.substring(0, 20) + '...' : 'NOT_SET'}`);
+        const channel = channelRegistry.current();
+        console.log(`🔧 Channel: ${channel.id}`);
+        console.log(`🔧 Phone Number ID: ${channel.phoneNumberId ? channel.phoneNumberId.substring(0, 10) + '...' : 'NOT_SET'}`);
+        console.log(`🔧 Access Token: ${channel.accessToken ? channel.accessToken.substring(0, 20) + '...' : 'NOT_SET'}`);
         
         try {
             // ✅ Combined API call - Mark as read + Show typing indicator
-            const url = `https://graph.facebook.com/v24.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-            
             const payload = {
                 messaging_product: "whatsapp",
                 status: "read",
@@ -37,19 +37,11 @@ class WhatsAppStatusService {
                 typing_indicator: { type: "text" }
             };
             
-            const config = {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            };
-            
             console.log('📡 Making combined API request for read status + typing indicator...');
             console.log('📦 Request payload:', JSON.stringify(payload, null, 2));
-            const response = await axios.post(url, payload, config);
+            const response = await graphApiClient.post(graphApiClient.messagesPath(), payload);
             
-            console.log('📈 API Response Status:', response.status);
-            console.log('📈 API Response Data:', JSON.stringify(response.data, null, 2));
+            console.log('📈 API Response Data:', JSON.stringify(response, null, 2));
             console.log('✅ Combined operation successful - Message marked as read + Typing indicator shown');
             console.log(`💬 Typing indicator shown for message ${messageId}`);
             console.log('🔵 === COMBINED STATUS OPERATION COMPLETE ===');
@@ -70,6 +62,36 @@ class WhatsAppStatusService {
         }
     }
     
+    /**
+     * Keep the typing indicator on while a reply is being produced
+     * WhatsApp hides it after WHATSAPP_STATUS.MAX_TYPING_DURATION or as soon as we send a message,
+     * so it is re-shown on an interval until stop() is called
+     * @param {string} messageId - WhatsApp message ID being answered
+     * @param {string} phoneNumber - Recipient phone number (for logging only)
+     * @param {number} intervalMs - Refresh interval (must stay below MAX_TYPING_DURATION)
+     * @returns {{refresh: Function, stop: Function}} - refresh() re-shows it now (e.g. after a partial reply)
+     */
+    static keepTyping(messageId, phoneNumber, intervalMs = constants.AI_STREAMING.TYPING_REFRESH_INTERVAL) {
+        let stopped = false;
+        
+        const refresh = () => {
+            if (stopped) {
+                return Promise.resolve({ success: false });
+            }
+            return WhatsAppStatusService.markMessageAsReadAndShowTyping(messageId, phoneNumber);
+        };
+        
+        const timer = setInterval(refresh, intervalMs);
+        
+        return {
+            refresh,
+            stop: () => {
+                stopped = true;
+                clearInterval(timer);
+            }
+        };
+    }
+    
     /**
      * Mark a specific message as read ONLY (for testing)
      * @param {string} messageId - WhatsApp message ID
@@ -79,8 +101,6 @@ class WhatsAppStatusService {
         try {
             console.log(`🔍 DEBUG: Testing read status ONLY for: ${messageId}`);
             
-            const url = `https://graph.facebook.com/v24.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-            
             const payload = {
                 messaging_product: "whatsapp",
                 status: "read",
@@ -88,18 +108,10 @@ class WhatsAppStatusService {
                 // NO typing_indicator - testing read status alone
             };
             
-            const config = {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            };
-            
             console.log('📦 Read-only payload:', JSON.stringify(payload, null, 2));
-            const response = await axios.post(url, payload, config);
+            const response = await graphApiClient.post(graphApiClient.messagesPath(), payload);
             
-            console.log('📈 Read-only response status:', response.status);
-            console.log('📈 Read-only response data:', JSON.stringify(response.data, null, 2));
+            console.log('📈 Read-only response data:', JSON.stringify(response, null, 2));
             console.log(`✅ Read status ONLY successful for ${messageId}`);
             return true;
             
@@ -124,22 +136,13 @@ class WhatsAppStatusService {
         try {
             console.log(`📖 Marking message as read (standalone): ${messageId}`);
             
-            const url = `https://graph.facebook.com/v24.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-            
             const payload = {
                 messaging_product: "whatsapp",
                 status: "read",
                 message_id: messageId
             };
             
-            const config = {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            };
-            
-            const response = await axios.post(url, payload, config);
+            await graphApiClient.post(graphApiClient.messagesPath(), payload);
             
             console.log(`✅ Message ${messageId} marked as read successfully (standalone)`);
             return true;
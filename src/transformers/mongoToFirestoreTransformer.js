@@ -5,6 +5,7 @@
 
 const logger = require('../utils/logger');
 const admin = require('firebase-admin');
+const constants = require('../utils/constants');
 
 class MongoToFirestoreTransformer {
   
@@ -18,12 +19,15 @@ class MongoToFirestoreTransformer {
       }
 
       const firestoreUser = {
+        whatsappId: mongoUser.whatsappId || null,
+        channelId: mongoUser.channelId || constants.CHANNELS.DEFAULT_ID,
         displayName: mongoUser.displayName || null,
         phoneNumber: mongoUser.phoneNumber || null,
         conversationStatus: mongoUser.conversationStatus || 'AI',
         assignedLmId: mongoUser.assignedLmId || null,
         assignedToLm: mongoUser.assignedToLm !== undefined ? mongoUser.assignedToLm : false,
         lynnUserStatus: mongoUser.lynnUserStatus || "New User",
+        previousWhatsappIds: mongoUser.previousWhatsappIds || null,
         lastTakeover: mongoUser.lastTakeover ? {
           timestamp: mongoUser.lastTakeover.timestamp ? 
             admin.firestore.Timestamp.fromDate(mongoUser.lastTakeover.timestamp) : null,
@@ -36,10 +40,29 @@ class MongoToFirestoreTransformer {
           lmId: mongoUser.lastRelease.lmId || null,
           lmName: mongoUser.lastRelease.lmName || null
         } : null,
+        escalation: mongoUser.escalation ? {
+          status: mongoUser.escalation.status,
+          reason: mongoUser.escalation.reason,
+          priority: mongoUser.escalation.priority || null,
+          details: mongoUser.escalation.details || null,
+          summary: mongoUser.escalation.summary || null,
+          escalatedAt: mongoUser.escalation.escalatedAt ?
+            admin.firestore.Timestamp.fromDate(mongoUser.escalation.escalatedAt) : null,
+          acceptedBy: mongoUser.escalation.acceptedBy || null,
+          acceptedAt: mongoUser.escalation.acceptedAt ?
+            admin.firestore.Timestamp.fromDate(mongoUser.escalation.acceptedAt) : null,
+          resolvedAt: mongoUser.escalation.resolvedAt ?
+            admin.firestore.Timestamp.fromDate(mongoUser.escalation.resolvedAt) : null
+        } : null,
+        aiFailureCount: mongoUser.aiFailures?.consecutiveCount || 0,
         isActive: mongoUser.isActive !== undefined ? mongoUser.isActive : true,
         totalMessageCount: mongoUser.totalMessageCount || 0,
         lastMessageUpdatedAt: mongoUser.lastMessageUpdatedAt ? 
           admin.firestore.Timestamp.fromDate(mongoUser.lastMessageUpdatedAt) : admin.firestore.Timestamp.now(),
+        lastInboundAt: mongoUser.lastInboundAt ? 
+          admin.firestore.Timestamp.fromDate(mongoUser.lastInboundAt) : null,
+        serviceWindowExpiresAt: mongoUser.serviceWindowExpiresAt ? 
+          admin.firestore.Timestamp.fromDate(mongoUser.serviceWindowExpiresAt) : null,
         userMetrics: {
           lastMessage: mongoUser.userMetrics?.lastMessage || '',
           lastMessageTimestamp: mongoUser.userMetrics?.lastMessageTimestamp ? 
@@ -129,11 +152,63 @@ class MongoToFirestoreTransformer {
         };
       }
 
+      // Add reply-to reference if present (quoted message)
+      if (mongoMessage.replyTo) {
+        firestoreMessage.replyTo = {
+          whatsappMessageId: mongoMessage.replyTo.whatsappMessageId,
+          direction: mongoMessage.replyTo.direction || null,
+          textContent: mongoMessage.replyTo.textContent || null,
+          timestamp: mongoMessage.replyTo.timestamp ? 
+            admin.firestore.Timestamp.fromDate(mongoMessage.replyTo.timestamp) : null
+        };
+      }
+
+      // Add template details if present (outbound template messages)
+      if (mongoMessage.template) {
+        firestoreMessage.template = {
+          name: mongoMessage.template.name,
+          language: mongoMessage.template.language || null,
+          bodyParameters: mongoMessage.template.bodyParameters || null,
+          header: mongoMessage.template.header ? {
+            type: mongoMessage.template.header.type || null,
+            text: mongoMessage.template.header.text || null,
+            link: mongoMessage.template.header.link || null
+          } : null
+        };
+      }
+
+      // Add split-message link if present (parts of one long AI reply)
+      if (mongoMessage.messageGroup) {
+        firestoreMessage.messageGroup = {
+          groupId: mongoMessage.messageGroup.groupId,
+          partIndex: mongoMessage.messageGroup.partIndex,
+          partCount: mongoMessage.messageGroup.partCount
+        };
+      }
+
+      // Add interactive reply if present (button/list replies)
+      if (mongoMessage.interactiveReply) {
+        firestoreMessage.interactiveReply = {
+          replyType: mongoMessage.interactiveReply.replyType,
+          id: mongoMessage.interactiveReply.id || null,
+          title: mongoMessage.interactiveReply.title || null,
+          description: mongoMessage.interactiveReply.description || null
+        };
+      }
+
+      // Add delivery status if present (only for outbound messages)
+      if (mongoMessage.deliveryStatus) {
+        Object.assign(firestoreMessage, this.transformDeliveryStatus(mongoMessage));
+      }
+
       // Add aiAudit if present (only for AI messages)
       if (mongoMessage.aiAudit) {
         firestoreMessage.aiAudit = {
           checkpointId: mongoMessage.aiAudit.checkpointId,
-          processingTimeMs: mongoMessage.aiAudit.processingTimeMs
+          processingTimeMs: mongoMessage.aiAudit.processingTimeMs,
+          isFallback: mongoMessage.aiAudit.isFallback || false,
+          errorType: mongoMessage.aiAudit.errorType || null,
+          attempts: mongoMessage.aiAudit.attempts ?? null
         };
       }
 
@@ -156,6 +231,26 @@ class MongoToFirestoreTransformer {
     }
   }
 
+  /**
+   * Transform delivery status fields of a MongoDB message for Firestore
+   */
+  static transformDeliveryStatus(mongoMessage) {
+    return {
+      deliveryStatus: mongoMessage.deliveryStatus || null,
+      statusHistory: (mongoMessage.statusHistory || []).map(entry => ({
+        status: entry.status,
+        timestamp: entry.timestamp ? 
+          admin.firestore.Timestamp.fromDate(entry.timestamp) : null,
+        error: entry.error && entry.error.code !== undefined ? {
+          code: entry.error.code,
+          title: entry.error.title || null,
+          message: entry.error.message || null,
+          details: entry.error.details || null
+        } : null
+      }))
+    };
+  }
+
   /**
    * Transform conversation data for bulk operations
    */
@@ -0,0 +1,201 @@
+/**
+ * Channel Registry
+ * A channel is one WhatsApp business phone number with its own credentials, welcome text
+ * and AI endpoint. The default channel comes from the single-number environment variables
+ * (WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_ACCESS_TOKEN, AI_API_BASE_URL, AI_API_ENDPOINT);
+ * further numbers are configured as a JSON array in WHATSAPP_CHANNELS:
+ *
+ *   [{ "id": "concierge2", "phoneNumberId": "...", "accessToken": "..." | "accessTokenEnv": "VAR",
+ *      "name"?, "welcomeText"?, "aiBaseUrl"?, "aiEndpoint"? }]
+ *
+ * The channel being served is carried in an AsyncLocalStorage context: inbound batches run
+ * inside the channel of their `metadata.phone_number_id`, LM API requests inside the channel
+ * named by `channelId`. Lookups that are scoped per channel (users, conversations, Firestore
+ * documents, Graph credentials) read it from here. Records of the default channel keep their
+ * unscoped identifiers, so single-number data needs no migration.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const dotenv = require('dotenv');
+const logger = require('./logger');
+const constants = require('./constants');
+
+dotenv.config();
+
+const DEFAULT_CHANNEL_ID = constants.CHANNELS.DEFAULT_ID;
+
+class ChannelRegistry {
+  constructor() {
+    this.channels = new Map(); // channelId -> channel
+    this.storage = new AsyncLocalStorage();
+    this.load();
+  }
+
+  /**
+   * Build the registry from the environment
+   */
+  load() {
+    this.channels.clear();
+
+    this.register({
+      id: DEFAULT_CHANNEL_ID,
+      name: process.env.WHATSAPP_CHANNEL_NAME || 'Default',
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN
+    });
+
+    if (!process.env.WHATSAPP_CHANNELS) {
+      return;
+    }
+
+    let configured;
+    try {
+      configured = JSON.parse(process.env.WHATSAPP_CHANNELS);
+    } catch (error) {
+      throw new Error(`WHATSAPP_CHANNELS is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(configured)) {
+      throw new Error('WHATSAPP_CHANNELS must be a JSON array of channels');
+    }
+
+    configured.forEach(channel => this.register({
+      ...channel,
+      accessToken: channel.accessToken || process.env[channel.accessTokenEnv]
+    }));
+
+    logger.startup('ChannelRegistry', 'WhatsApp channels loaded', {
+      channels: this.list().map(channel => `${channel.id} (${channel.phoneNumberId})`)
+    });
+  }
+
+  /**
+   * Add a channel (ids and phone number IDs must be unique)
+   */
+  register(channel) {
+    if (!channel.id || !constants.CHANNELS.ID_PATTERN.test(channel.id)) {
+      throw new Error(`Invalid channel id: ${channel.id}`);
+    }
+
+    if (this.channels.has(channel.id)) {
+      throw new Error(`Duplicate channel id: ${channel.id}`);
+    }
+
+    if (channel.id !== DEFAULT_CHANNEL_ID) {
+      if (!channel.phoneNumberId || !channel.accessToken) {
+        throw new Error(`Channel ${channel.id} needs a phoneNumberId and an access token`);
+      }
+      if (this.getByPhoneNumberId(channel.phoneNumberId)) {
+        throw new Error(`Phone number ID ${channel.phoneNumberId} is configured twice`);
+      }
+    }
+
+    this.channels.set(channel.id, {
+      id: channel.id,
+      name: channel.name || channel.id,
+      phoneNumberId: channel.phoneNumberId,
+      accessToken: channel.accessToken,
+      welcomeText: channel.welcomeText || constants.WELCOME_MESSAGE.TEXT,
+      aiBaseUrl: channel.aiBaseUrl || process.env.AI_API_BASE_URL,
+      aiEndpoint: channel.aiEndpoint || process.env.AI_API_ENDPOINT
+    });
+  }
+
+  getDefault() {
+    return this.channels.get(DEFAULT_CHANNEL_ID);
+  }
+
+  /**
+   * Channel by id (null when unknown)
+   */
+  getChannel(channelId) {
+    return this.channels.get(channelId || DEFAULT_CHANNEL_ID) || null;
+  }
+
+  /**
+   * Channel by Graph phone number ID (null when unknown)
+   */
+  getByPhoneNumberId(phoneNumberId) {
+    for (const channel of this.channels.values()) {
+      if (channel.phoneNumberId && channel.phoneNumberId === phoneNumberId) {
+        return channel;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Channel for an inbound webhook (`metadata.phone_number_id`)
+   * Unknown numbers fall back to the default channel
+   */
+  resolveInbound(phoneNumberId) {
+    const channel = this.getByPhoneNumberId(phoneNumberId);
+
+    if (!channel) {
+      if (phoneNumberId && this.channels.size > 1) {
+        logger.warn('ChannelRegistry', 'Webhook for an unknown phone number ID - using the default channel', {
+          phoneNumberId
+        });
+      }
+      return this.getDefault();
+    }
+
+    return channel;
+  }
+
+  /**
+   * Run a function with a channel as the current channel
+   */
+  run(channel, fn) {
+    return this.storage.run(channel, fn);
+  }
+
+  /**
+   * Channel being served (the default channel outside any channel context)
+   */
+  current() {
+    return this.storage.getStore() || this.getDefault();
+  }
+
+  currentId() {
+    return this.current().id;
+  }
+
+  isDefault(channelId) {
+    return !channelId || channelId === DEFAULT_CHANNEL_ID;
+  }
+
+  /**
+   * Mongo filter limiting a query to the current channel
+   * Default channel records written before channels existed have no channelId
+   */
+  mongoFilter(channelId = this.currentId()) {
+    return this.isDefault(channelId) ?
+      { channelId: { $in: [DEFAULT_CHANNEL_ID, null] } } :
+      { channelId };
+  }
+
+  /**
+   * Identifier scoped to the current channel (Firestore document IDs, in-memory keys)
+   * e.g. "919876543210" on the default channel, "concierge2__919876543210" on others
+   */
+  scopeId(id, channelId = this.currentId()) {
+    return this.isDefault(channelId) ? id : `${channelId}${constants.CHANNELS.ID_SEPARATOR}${id}`;
+  }
+
+  /**
+   * Channels without their credentials
+   */
+  list() {
+    return Array.from(this.channels.values()).map(channel => ({
+      id: channel.id,
+      name: channel.name,
+      phoneNumberId: channel.phoneNumberId
+    }));
+  }
+}
+
+// Create singleton instance
+const channelRegistry = new ChannelRegistry();
+
+module.exports = channelRegistry;
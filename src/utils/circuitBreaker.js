@@ -0,0 +1,77 @@
+/**
+ * Circuit Breaker Utility
+ * Fails fast while a backend is down: after `failureThreshold` consecutive failures the
+ * circuit opens and requests are refused for `resetTimeout` ms. Then a single trial
+ * request is let through (half-open); its outcome closes or re-opens the circuit.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeout }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.isTrialInFlight = false;
+  }
+
+  /**
+   * Check whether a request may go out now (claims the trial slot when half-open)
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = STATES.HALF_OPEN;
+      this.isTrialInFlight = false;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this.isTrialInFlight) {
+      this.isTrialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.isTrialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures += 1;
+    this.isTrialInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Snapshot for logs and monitoring
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
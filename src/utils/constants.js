@@ -17,6 +17,33 @@ module.exports = {
     OUTBOUND_LM: 'outbound_lm'
   },
 
+  // Inbound Interactive Reply Types (`interactive` button/list replies and template `button` quick replies)
+  INTERACTIVE_REPLY_TYPES: {
+    BUTTON_REPLY: 'button_reply',
+    LIST_REPLY: 'list_reply',
+    BUTTON: 'button'
+  },
+
+  // Outbound Delivery Status (webhook `statuses` array)
+  DELIVERY_STATUS: {
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    READ: 'read',
+    FAILED: 'failed'
+  },
+
+  // Precedence when statuses arrive out of order - a message never moves back to a lower rank
+  DELIVERY_STATUS_RANK: {
+    sent: 1,
+    delivered: 2,
+    read: 3,
+    failed: 4
+  },
+
+  // A status for a message that is not stored yet is retried through the webhook queue for this long
+  // (the send and its storage race the status webhook); older ones are for messages we never stored
+  DELIVERY_STATUS_PENDING_WINDOW: 2 * 60 * 1000, // 2 minutes
+
   // Media Types
   MEDIA_TYPES: {
     IMAGE: 'image',
@@ -51,8 +78,57 @@ module.exports = {
   WHATSAPP_STATUS: {
     READ_STATUS_ENABLED: true,
     TYPING_INDICATOR_ENABLED: true,
-    MAX_TYPING_DURATION: 25000,  // Meta's maximum (25 seconds)
-    API_VERSION: 'v24.0'         // Required for status features
+    MAX_TYPING_DURATION: 25000   // Meta's maximum (25 seconds)
+  },
+
+  // Graph API Client (shared by whatsappService and whatsappStatusService)
+  GRAPH_API: {
+    BASE_URL: (process.env.WHATSAPP_GRAPH_BASE_URL || 'https://graph.facebook.com').replace(/\/+$/, ''), // Point at a mock Graph server in tests
+    VERSION: process.env.WHATSAPP_GRAPH_API_VERSION || 'v24.0',
+    TIMEOUT: parseInt(process.env.WHATSAPP_GRAPH_TIMEOUT_MS) || 30000,
+    MAX_RETRIES: process.env.WHATSAPP_GRAPH_MAX_RETRIES !== undefined ?
+      parseInt(process.env.WHATSAPP_GRAPH_MAX_RETRIES) : 3,
+    RETRY_DELAY: 500,                    // Base delay, doubled per attempt (with jitter)
+    MAX_RETRY_DELAY: 8000,
+    RETRYABLE_STATUS: [429, 500, 502, 503, 504],
+    THROTTLING_ERROR_CODES: [4, 613, 80007, 130429, 131056], // App, WABA, throughput and pair rate limits
+    PAIR_RATE_LIMIT_ERROR_CODE: 131056,                      // Too many messages to one user
+    INVALID_RECIPIENT_ERROR_CODES: [131026, 131030],         // Undeliverable / not an allowed recipient
+    // Sends are retried only when the message was certainly not accepted, so a retry cannot duplicate it
+    SEND_RETRYABLE_ERROR_CODES: [2, 131016],                 // API service / service temporarily unavailable
+    CONNECT_ERROR_CODES: ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'] // Failed before the request was written
+  },
+
+  // Channels (business phone numbers served by one deployment, see utils/channelRegistry)
+  CHANNELS: {
+    DEFAULT_ID: 'default',
+    ID_PATTERN: /^[a-z0-9-]{1,32}$/,     // No underscores, so scoped IDs stay unambiguous
+    ID_SEPARATOR: '__',                  // Scoped IDs: "<channelId>__<whatsappId>"
+    HEADER: 'x-channel-id'               // LM API requests can name their channel here
+  },
+
+  // Outbound Throughput Governor (per business phone number send queue)
+  OUTBOUND_GOVERNOR: {
+    ENABLED: process.env.OUTBOUND_GOVERNOR_ENABLED !== 'false',
+    MESSAGES_PER_SECOND: parseInt(process.env.OUTBOUND_MESSAGES_PER_SECOND) || 80, // Meta's default throughput
+    BURST: parseInt(process.env.OUTBOUND_BURST) || 80,
+    PAIR_BURST: parseInt(process.env.OUTBOUND_PAIR_BURST) || 10,              // Messages to one user before pacing kicks in
+    PAIR_INTERVAL_MS: parseInt(process.env.OUTBOUND_PAIR_INTERVAL_MS) || 6000, // Then one message per interval
+    MAX_QUEUE_SIZE: 10000,               // Per phone number; sends beyond this are rejected
+    WAIT_SAMPLE_SIZE: 200,               // Recent wait times kept for stats
+    SWEEP_INTERVAL: 60000,               // Drop idle per-recipient state
+    PRIORITY: {
+      LM: 'lm',                          // LM replies - always first
+      AI: 'ai',                          // AI replies and system messages
+      BULK: 'bulk'                       // Campaigns / broadcasts
+    },
+    PRIORITY_ORDER: ['lm', 'ai', 'bulk']
+  },
+
+  // Webhook Security (Meta X-Hub-Signature-256)
+  WEBHOOK_SECURITY: {
+    SIGNATURE_HEADER: 'x-hub-signature-256',
+    SIGNATURE_PREFIX: 'sha256='
   },
 
   // WhatsApp Limits
@@ -72,7 +148,10 @@ module.exports = {
   DATABASE: {
     COLLECTIONS: {
       USERS: 'whatsappUsers',
-      CONVERSATIONS: 'whatsappConversations'
+      CONVERSATIONS: 'whatsappConversations',
+      WEBHOOK_JOBS: 'whatsappWebhookJobs',
+      PROCESSED_MESSAGES: 'whatsappProcessedMessages',
+      USER_LOCKS: 'whatsappUserLocks'
     },
     INDEXES: {
       USERS: ['whatsappId', 'conversationStatus', 'isActive', 'updatedAt'],
@@ -131,9 +210,188 @@ module.exports = {
   // AI Service Configuration
   AI_SERVICE: {
     TIMEOUT: 30000,               // 30 seconds
-    MAX_RETRIES: 3,
-    RETRY_DELAY: 1000,            // 1 second
-    MAX_CONTEXT_LENGTH: 4000      // Characters
+    MAX_RETRIES: 3,               // Retries when the request fails before the stream starts
+    RETRY_DELAY: 1000,            // 1 second, doubled per retry plus jitter
+    MAX_RETRY_DELAY: 8000,
+    RETRYABLE_STATUS: [408, 429, 500, 502, 503, 504],
+    MAX_CONTEXT_LENGTH: 4000,     // Characters
+    CIRCUIT_BREAKER: {
+      FAILURE_THRESHOLD: 5,       // Consecutive failed calls before failing fast
+      RESET_TIMEOUT: 30000        // Wait before letting a trial call through
+    },
+    ERROR_TYPES: {
+      TIMEOUT: 'timeout',
+      NETWORK: 'network',
+      HTTP: 'http_error',
+      STREAM: 'stream_error',
+      EMPTY_RESPONSE: 'empty_response',
+      CIRCUIT_OPEN: 'circuit_open',
+      PROCESSING: 'processing_error'     // Our side failed while handling the answer
+    },
+    // Sent to the user in place of an AI answer (flagged as fallback in aiAudit)
+    FALLBACK_MESSAGES: {
+      DEFAULT: "I'm sorry, I'm experiencing technical difficulties right now. Please try again in a moment.",
+      TIMEOUT: 'Response timeout. Please try again.',
+      EMPTY_RESPONSE: 'I want to give you the best answer — Could you share a bit more detail...'
+    }
+  },
+
+  // Escalation to the NOC (conversation moved to HUMAN mode with no LM assigned yet)
+  ESCALATION: {
+    AI_FAILURE_THRESHOLD: parseInt(process.env.AI_FAILURE_ESCALATION_THRESHOLD) || 3, // Consecutive failed AI answers
+    STATUS: {
+      PENDING: 'pending',                // Waiting for an LM to take over
+      ACCEPTED: 'accepted',              // An LM took over
+      RESOLVED: 'resolved'               // Released back to the AI
+    },
+    REASONS: {
+      AI_FAILURES: 'ai_failures',
+      AI_HANDOFF: 'ai_handoff'           // The AI asked for a human (its own reason goes into details)
+    },
+    PRIORITY: {
+      NORMAL: 'normal',
+      HIGH: 'high',
+      URGENT: 'urgent'
+    },
+    HISTORY_LIMIT: 20,                   // Escalations kept on the user document
+    SUMMARY_MAX_LENGTH: 2000,            // AI-written conversation summary for the LM
+    HOLDING_MESSAGE: "Sorry for the wait - I'm connecting you with one of our team members, who will get back to you shortly."
+  },
+
+  // AI Reply Streaming (see MessageProcessor.processAIResponse)
+  AI_STREAMING: {
+    PROGRESSIVE_ENABLED: process.env.AI_STREAM_PROGRESSIVE === 'true', // Send completed paragraphs while the AI is still writing
+    MIN_FLUSH_LENGTH: parseInt(process.env.AI_STREAM_MIN_FLUSH_LENGTH) || 280, // Short paragraphs wait so they go out together
+    TYPING_REFRESH_INTERVAL: 20000       // Below WHATSAPP_STATUS.MAX_TYPING_DURATION
+  },
+
+  // Inbound media forwarded to the AI as attachments (see MessageProcessor.buildAIAttachment)
+  // Other non-text types only get MEDIA_ACKNOWLEDGEMENT
+  AI_ATTACHMENTS: {
+    FORWARDED_TYPES: ['image', 'document', 'location'],
+    MEDIA_ACKNOWLEDGEMENT: 'Processing media shared by you'
+  },
+
+  // Voice Note Transcription (see services/transcriptionService)
+  TRANSCRIPTION: {
+    ENABLED: process.env.VOICE_TRANSCRIPTION_ENABLED === 'true',
+    PROVIDER: process.env.TRANSCRIPTION_PROVIDER || 'http', // One of PROVIDERS
+    PROVIDERS: {
+      STUB: 'stub',                      // Fixed text, for tests and local development
+      HTTP: 'http'                       // OpenAI-compatible endpoint, e.g. a local Whisper server
+    },
+    STATUS: {
+      COMPLETED: 'completed',
+      EMPTY: 'empty',                    // No speech recognised
+      FAILED: 'failed'
+    },
+    HTTP_URL: process.env.TRANSCRIPTION_API_URL || 'http://localhost:8000/v1/audio/transcriptions',
+    HTTP_API_KEY: process.env.TRANSCRIPTION_API_KEY || null,
+    MODEL: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+    LANGUAGE: process.env.TRANSCRIPTION_LANGUAGE || null, // ISO-639-1 hint; null lets the model detect it
+    TIMEOUT: parseInt(process.env.TRANSCRIPTION_TIMEOUT) || 30000,
+    STUB_TEXT: process.env.TRANSCRIPTION_STUB_TEXT || 'This is a transcribed voice note',
+    MAX_TEXT_LENGTH: 4096                // Longer transcripts are cut
+  },
+
+  // Webhook Job Queue (Mongo-backed, processed by webhookQueueService)
+  WEBHOOK_QUEUE: {
+    JOB_STATUS: {
+      PENDING: 'pending',
+      PROCESSING: 'processing',
+      COMPLETED: 'completed',
+      DEAD_LETTER: 'dead_letter'
+    },
+    CONCURRENCY: parseInt(process.env.WEBHOOK_QUEUE_CONCURRENCY) || 5,
+    POLL_INTERVAL: 1000,                 // 1 second between polls when idle
+    MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS) || 5,
+    BACKOFF_BASE_DELAY: 2000,            // 2s, 4s, 8s, ...
+    BACKOFF_MAX_DELAY: 5 * 60 * 1000,    // 5 minutes
+    LEASE_DURATION: 60000,               // Lease is renewed while a job runs
+    LEASE_RENEW_INTERVAL: 20000,
+    COMPLETED_JOB_TTL_SECONDS: 7 * 24 * 60 * 60 // 7 days
+  },
+
+  // Inbound Message De-duplication Ledger
+  MESSAGE_LEDGER: {
+    STATUS: {
+      PROCESSING: 'processing',
+      COMPLETED: 'completed'
+    },
+    TTL_SECONDS: parseInt(process.env.MESSAGE_LEDGER_TTL_SECONDS) || 7 * 24 * 60 * 60, // Meta retries for up to 7 days
+    CLAIM_TIMEOUT: 5 * 60 * 1000         // A claim older than this is treated as abandoned
+  },
+
+  // Per-User Processing Lock (in-process mutex + Mongo lease across instances)
+  USER_LOCK: {
+    LEASE_DURATION: 60000,               // Lease is renewed while the holder runs
+    LEASE_RENEW_INTERVAL: 20000,
+    RETRY_INTERVAL: 250,                 // Poll interval while another instance holds the lock
+    ACQUIRE_TIMEOUT: 3 * 60 * 1000       // Give up (and let the webhook job retry) after 3 minutes
+  },
+
+  // Rapid-Fire Message Aggregation (consecutive text messages merged into one AI call)
+  MESSAGE_AGGREGATION: {
+    WINDOW_MS: process.env.MESSAGE_AGGREGATION_WINDOW_MS !== undefined ?
+      parseInt(process.env.MESSAGE_AGGREGATION_WINDOW_MS) : 3000, // Quiet period after the last message (0 disables)
+    MAX_WAIT_MS: 15000,                  // Flush even if the user keeps typing
+    TYPING_REFRESH_INTERVAL: 20000,      // Below WHATSAPP_STATUS.MAX_TYPING_DURATION
+    SEPARATOR: '\n'
+  },
+
+  // Outbound Interactive Messages (WhatsApp limits for reply buttons and lists)
+  INTERACTIVE_MESSAGE: {
+    MAX_BUTTONS: 3,
+    BUTTON_TITLE_LENGTH: 20,
+    MAX_LIST_SECTIONS: 10,
+    MAX_LIST_ROWS: 10,                   // Across all sections
+    SECTION_TITLE_LENGTH: 24,
+    ROW_TITLE_LENGTH: 24,
+    ROW_DESCRIPTION_LENGTH: 72,
+    LIST_BUTTON_LENGTH: 20,
+    DEFAULT_LIST_BUTTON: 'View options',
+    ID_LENGTH: 200,
+    BODY_LENGTH: 1024,
+    HEADER_LENGTH: 60,
+    FOOTER_LENGTH: 60
+  },
+
+  // Customer Service Window (free-form messages are only allowed within 24h of the user's last message)
+  CUSTOMER_SERVICE_WINDOW: {
+    DURATION_MS: 24 * 60 * 60 * 1000,
+    GRAPH_ERROR_CODE: 131047             // Graph "re-engagement message" error outside the window
+  },
+
+  // Template Messages (allowed outside the customer service window)
+  TEMPLATE_MESSAGES: {
+    DEFAULT_LANGUAGE: process.env.WHATSAPP_TEMPLATE_DEFAULT_LANGUAGE || 'en',
+    HEADER_TYPES: ['text', 'image', 'video', 'document'],
+    BUTTON_SUB_TYPES: ['quick_reply', 'url']
+  },
+
+  // Outbound Media Messages (sent by LMs and the AI)
+  OUTBOUND_MEDIA: {
+    TYPES: ['image', 'document', 'audio', 'video'],
+    CAPTION_TYPES: ['image', 'document', 'video'],   // WhatsApp ignores captions on audio
+    MAX_CAPTION_LENGTH: 1024,
+    // 'upload' sends through the Graph media endpoint, 'link' hands WhatsApp the public storage URL
+    SEND_MODE: process.env.OUTBOUND_MEDIA_SEND_MODE === 'link' ? 'link' : 'upload',
+    DOWNLOAD_TIMEOUT: 30000,             // Fetching media from a caller-provided URL
+    DOWNLOAD_MAX_REDIRECTS: 3,
+    // Comma-separated hosts media URLs may point at (subdomains included); empty allows any public host
+    ALLOWED_HOSTS: (process.env.OUTBOUND_MEDIA_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
+  // Development WhatsApp Simulator (never enabled in production)
+  SIMULATOR: {
+    ENABLED: process.env.WHATSAPP_SIMULATOR_ENABLED === 'true' && process.env.NODE_ENV !== 'production',
+    GRAPH_HOST: 'graph.facebook.com',    // Requests to this host are captured instead of sent
+    OUTBOX_LIMIT: 500,                   // Oldest outbox entries are dropped beyond this
+    FIXTURES_DIR: process.env.WHATSAPP_SIMULATOR_FIXTURES_DIR || 'fixtures/webhooks',
+    BUSINESS_PHONE_NUMBER: '15550000000'
   },
 
   // Performance Thresholds
@@ -186,15 +444,21 @@ module.exports = {
     DB_CONNECTION_FAILED: 'DB_CONNECTION_FAILED',
     DB_QUERY_FAILED: 'DB_QUERY_FAILED',
     DB_VALIDATION_ERROR: 'DB_VALIDATION_ERROR',
+    MESSAGE_CLAIM_IN_PROGRESS: 'MESSAGE_CLAIM_IN_PROGRESS',
     
     // WhatsApp Errors
     WHATSAPP_INVALID_MESSAGE: 'WHATSAPP_INVALID_MESSAGE',
     WHATSAPP_API_ERROR: 'WHATSAPP_API_ERROR',
     WHATSAPP_WEBHOOK_ERROR: 'WHATSAPP_WEBHOOK_ERROR',
+    WHATSAPP_INVALID_SIGNATURE: 'WHATSAPP_INVALID_SIGNATURE',
+    WHATSAPP_OUTSIDE_SERVICE_WINDOW: 'WHATSAPP_OUTSIDE_SERVICE_WINDOW',
+    WHATSAPP_INVALID_RECIPIENT: 'WHATSAPP_INVALID_RECIPIENT',
+    WHATSAPP_RATE_LIMITED: 'WHATSAPP_RATE_LIMITED',
     
     // WhatsApp Status Errors
     WHATSAPP_READ_STATUS_FAILED: 'WHATSAPP_READ_STATUS_FAILED',
     WHATSAPP_TYPING_INDICATOR_FAILED: 'WHATSAPP_TYPING_INDICATOR_FAILED',
+    WHATSAPP_STATUS_MESSAGE_NOT_STORED: 'WHATSAPP_STATUS_MESSAGE_NOT_STORED',
     
     // AI Service Errors
     AI_SERVICE_TIMEOUT: 'AI_SERVICE_TIMEOUT',
@@ -206,6 +470,7 @@ module.exports = {
     MEDIA_INVALID_TYPE: 'MEDIA_INVALID_TYPE',
     MEDIA_SIZE_EXCEEDED: 'MEDIA_SIZE_EXCEEDED',
     MEDIA_SERVICE_ERROR: 'MEDIA_SERVICE_ERROR',
+    MEDIA_URL_NOT_ALLOWED: 'MEDIA_URL_NOT_ALLOWED',
     
     // General Errors
     INVALID_INPUT: 'INVALID_INPUT',
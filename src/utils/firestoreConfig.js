@@ -6,6 +6,7 @@
 const admin = require('firebase-admin');
 const logger = require('./logger');
 const constants = require('./constants');
+const channelRegistry = require('./channelRegistry');
 
 class FirestoreConfig {
   constructor() {
@@ -140,12 +141,13 @@ class FirestoreConfig {
 
   /**
    * Get reference to specific user document
+   * Users of other channels than the default one live under "<channelId>__<whatsappId>"
    */
   getUserDocRef(whatsappId) {
     if (!whatsappId) {
       throw new Error('whatsappId is required');
     }
-    return this.getCollectionRef().doc(whatsappId);
+    return this.getCollectionRef().doc(channelRegistry.scopeId(whatsappId));
   }
 
   /**
@@ -0,0 +1,56 @@
+/**
+ * Keyed Mutex Utility
+ * In-process FIFO mutex per key - callers for the same key run one at a time in call order,
+ * callers for different keys run concurrently
+ */
+
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map(); // key -> Promise that settles when the last queued holder releases
+  }
+
+  /**
+   * Run a function while holding the lock for a key
+   * @param {string} key - Lock key
+   * @param {Function} fn - Async function to run exclusively
+   * @returns {Promise<*>} - Result of fn
+   */
+  async runExclusive(key, fn) {
+    const previous = this.tails.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    try {
+      await previous;
+      return await fn();
+    } finally {
+      release();
+
+      // Drop the key once nobody is queued behind us
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check whether a key is held or has waiters
+   */
+  isLocked(key) {
+    return this.tails.has(key);
+  }
+
+  /**
+   * Number of keys currently held
+   */
+  get size() {
+    return this.tails.size;
+  }
+}
+
+module.exports = KeyedMutex;
@@ -0,0 +1,231 @@
+/**
+ * Message Splitter Utility
+ * Splits text longer than the WhatsApp message limit into parts, preferring paragraph,
+ * then line, then sentence, then word boundaries. WhatsApp formatting (*bold*, _italic_,
+ * ~strike~, ```monospace```) that spans a split is closed at the end of one part and
+ * re-opened at the start of the next, so every part renders on its own.
+ */
+
+const constants = require('./constants');
+
+const INLINE_MARKERS = ['*', '_', '~'];
+const CODE_FENCE = '```';
+const MARKER_RESERVE = 16; // Room for closing / re-opening markers
+const MIN_BREAK_RATIO = 0.5; // Ignore boundaries in the first half of a window
+
+class MessageSplitter {
+
+  /**
+   * Split a message into parts that each fit maxLength
+   * @param {string} text - Message text
+   * @param {number} maxLength - Maximum characters per part
+   * @returns {Array<string>} - Parts in send order (a single part when the text already fits)
+   */
+  static split(text, maxLength = constants.WHATSAPP_LIMITS.MESSAGE_LENGTH) {
+    if (!text || text.length <= maxLength) {
+      return [text];
+    }
+
+    const windowSize = maxLength - MARKER_RESERVE;
+    const parts = [];
+    let carriedMarkers = [];
+    let remaining = text;
+
+    while (remaining.length > 0) {
+      const prefix = MessageSplitter.openingSequence(carriedMarkers);
+      const available = windowSize - prefix.length;
+
+      if (remaining.length <= available) {
+        parts.push(prefix + remaining);
+        break;
+      }
+
+      const cut = MessageSplitter.findBreak(remaining, available);
+      const chunk = remaining.substring(0, cut).trimEnd();
+      remaining = remaining.substring(cut).trimStart();
+
+      const openMarkers = MessageSplitter.findOpenMarkers(prefix + chunk);
+      parts.push(prefix + chunk + MessageSplitter.closingSequence(openMarkers));
+      carriedMarkers = openMarkers;
+    }
+
+    return parts.filter(part => part.trim().length > 0);
+  }
+
+  /**
+   * Split a message so its last part fits a smaller limit (e.g. the body of an interactive
+   * message) and the text before it goes out as normal parts
+   * @param {string} text - Message text
+   * @param {number} tailLength - Maximum characters of the last part
+   * @param {number} maxLength - Maximum characters of the other parts
+   * @returns {{parts: Array<string>, tail: string}} - Leading parts (possibly none) and the last part
+   */
+  static splitWithTail(text, tailLength, maxLength = constants.WHATSAPP_LIMITS.MESSAGE_LENGTH) {
+    if (!text || text.length <= tailLength) {
+      return { parts: [], tail: text };
+    }
+
+    const windowSize = tailLength - MARKER_RESERVE;
+    const cut = MessageSplitter.findTailBreak(text, windowSize);
+    const head = text.substring(0, cut).trimEnd();
+    const openMarkers = MessageSplitter.findOpenMarkers(head);
+
+    return {
+      parts: MessageSplitter.split(head + MessageSplitter.closingSequence(openMarkers), maxLength),
+      tail: MessageSplitter.openingSequence(openMarkers) + text.substring(cut).trimStart()
+    };
+  }
+
+  /**
+   * Find the best position to cut text so the last piece fits the window
+   * (the mirror of findBreak: the earliest boundary inside the last windowSize characters)
+   * @returns {number} - Cut index
+   */
+  static findTailBreak(text, windowSize) {
+    const start = text.length - windowSize;
+    const window = text.substring(start);
+    const maxIndex = Math.floor(windowSize * (1 - MIN_BREAK_RATIO));
+
+    // Paragraph, then line break
+    for (const separator of ['\n\n', '\n']) {
+      const index = window.indexOf(separator);
+      if (index !== -1 && index <= maxIndex) {
+        return start + index;
+      }
+    }
+
+    // Sentence end followed by whitespace
+    const sentenceEnd = window.search(/[.!?…]\s/);
+    if (sentenceEnd !== -1 && sentenceEnd < maxIndex) {
+      return start + sentenceEnd + 1;
+    }
+
+    // Word boundary
+    const space = window.indexOf(' ');
+    if (space !== -1 && space <= maxIndex) {
+      return start + space;
+    }
+
+    return MessageSplitter.avoidSurrogateSplit(text, start);
+  }
+
+  /**
+   * Find the best position to cut text so the first piece fits the window
+   * @returns {number} - Cut index
+   */
+  static findBreak(text, windowSize) {
+    const window = text.substring(0, windowSize + 1);
+    const minIndex = Math.floor(windowSize * MIN_BREAK_RATIO);
+
+    // Paragraph, then line break
+    for (const separator of ['\n\n', '\n']) {
+      const index = window.lastIndexOf(separator);
+      if (index >= minIndex) {
+        return index;
+      }
+    }
+
+    // Sentence end followed by whitespace
+    const sentencePattern = /[.!?…](?=\s)/g;
+    let sentenceEnd = -1;
+    let match;
+    while ((match = sentencePattern.exec(window)) !== null) {
+      if (match.index < windowSize) {
+        sentenceEnd = match.index + 1;
+      }
+    }
+    if (sentenceEnd >= minIndex) {
+      return sentenceEnd;
+    }
+
+    // Word boundary
+    const space = window.lastIndexOf(' ');
+    if (space >= minIndex) {
+      return space;
+    }
+
+    return MessageSplitter.avoidSurrogateSplit(text, windowSize);
+  }
+
+  /**
+   * Move a hard cut back one position when it would split a surrogate pair (emoji and other
+   * characters outside the BMP), which WhatsApp would show as two replacement characters
+   * @returns {number} - Cut index
+   */
+  static avoidSurrogateSplit(text, cut) {
+    const code = text.charCodeAt(cut - 1);
+    return code >= 0xD800 && code <= 0xDBFF ? cut - 1 : cut;
+  }
+
+  /**
+   * Find formatting markers left open at the end of a text
+   * Inline markers open before a non-space character and close after one (so snake_case
+   * words and "2 * 3" are not mistaken for formatting); code fences toggle
+   * @returns {Array<string>} - Open markers in the order they were opened
+   */
+  static findOpenMarkers(text) {
+    const open = [];
+    let i = 0;
+
+    while (i < text.length) {
+      if (text.startsWith(CODE_FENCE, i)) {
+        MessageSplitter.toggle(open, CODE_FENCE);
+        i += CODE_FENCE.length;
+        continue;
+      }
+
+      const char = text[i];
+      const insideCode = open.includes(CODE_FENCE);
+
+      if (!insideCode && INLINE_MARKERS.includes(char)) {
+        const before = i > 0 ? text[i - 1] : ' ';
+        const after = i < text.length - 1 ? text[i + 1] : ' ';
+        const isOpen = open.includes(char);
+
+        if (!isOpen && /\s|[(\[{"'*_~]/.test(before) && /\S/.test(after)) {
+          open.push(char);
+        } else if (isOpen && /\S/.test(before) && !/[A-Za-z0-9]/.test(after)) {
+          open.splice(open.lastIndexOf(char), 1);
+        }
+      }
+
+      i += 1;
+    }
+
+    return open;
+  }
+
+  /**
+   * Add a marker if it is not open, remove it otherwise
+   */
+  static toggle(open, marker) {
+    const index = open.indexOf(marker);
+    if (index === -1) {
+      open.push(marker);
+    } else {
+      open.splice(index, 1);
+    }
+  }
+
+  /**
+   * Markers that close the open ones (innermost first)
+   */
+  static closingSequence(openMarkers) {
+    return openMarkers
+      .slice()
+      .reverse()
+      .map(marker => (marker === CODE_FENCE ? `\n${CODE_FENCE}` : marker))
+      .join('');
+  }
+
+  /**
+   * Markers that re-open the carried ones (outermost first)
+   */
+  static openingSequence(openMarkers) {
+    return openMarkers
+      .map(marker => (marker === CODE_FENCE ? `${CODE_FENCE}\n` : marker))
+      .join('');
+  }
+}
+
+module.exports = MessageSplitter;
@@ -0,0 +1,101 @@
+/**
+ * Paragraph Stream Buffer Utility
+ * Collects the content chunks of a streaming AI reply and hands out completed paragraphs,
+ * so they can be sent to WhatsApp before the reply is finished. A paragraph counts as
+ * complete once a blank line follows it and the next paragraph has started; the last
+ * paragraph is always held back for the final response. Blank lines inside code fences
+ * are not boundaries. Pure functions only - no I/O, so it can be tested on its own.
+ */
+
+const PARAGRAPH_BREAK = /\n[ \t]*\n/g;
+const CODE_FENCE = '```';
+
+class ParagraphStreamBuffer {
+  constructor() {
+    this.text = '';        // Everything streamed so far (Markdown)
+    this.flushedLength = 0; // Characters of this.text already handed out
+  }
+
+  /**
+   * Add a content chunk
+   */
+  append(chunk) {
+    if (typeof chunk === 'string') {
+      this.text += chunk;
+    }
+  }
+
+  /**
+   * Take the completed paragraphs that have not been handed out yet
+   * @param {number} minLength - Hold paragraphs back until at least this much text is complete
+   * @returns {string|null} - Markdown of the completed paragraphs, or null
+   */
+  takeCompleted(minLength = 0) {
+    const boundary = this.findLastBoundary();
+    if (boundary === -1 || boundary <= this.flushedLength) {
+      return null;
+    }
+
+    const completed = this.text.substring(this.flushedLength, boundary).trim();
+    if (!completed || completed.length < minLength) {
+      return null;
+    }
+
+    this.flushedLength = boundary;
+    return completed;
+  }
+
+  /**
+   * End of the last paragraph break that is outside a code fence and followed by text
+   * @returns {number} - Index in this.text, or -1
+   */
+  findLastBoundary() {
+    let boundary = -1;
+    let match;
+
+    PARAGRAPH_BREAK.lastIndex = this.flushedLength;
+    while ((match = PARAGRAPH_BREAK.exec(this.text)) !== null) {
+      const end = match.index + match[0].length;
+      const hasTextAfter = /\S/.test(this.text.substring(end));
+      const fencesBefore = this.text.substring(0, match.index).split(CODE_FENCE).length - 1;
+
+      if (hasTextAfter && fencesBefore % 2 === 0) {
+        boundary = end;
+      }
+    }
+
+    return boundary;
+  }
+
+  /**
+   * Whether any paragraph has been handed out
+   */
+  hasFlushed() {
+    return this.flushedLength > 0;
+  }
+
+  /**
+   * Part of the final response that has not been handed out yet
+   * @param {string} finalText - Complete response (e.g. `response_complete` content)
+   * @returns {string|null} - Unsent text, or null when finalText does not continue what was sent
+   */
+  remainder(finalText) {
+    const sent = this.text.substring(0, this.flushedLength).trim();
+    const final = (finalText || '').trim();
+
+    if (!final.startsWith(sent)) {
+      return null;
+    }
+
+    return final.substring(sent.length).trim();
+  }
+
+  /**
+   * Streamed text that has not been handed out yet
+   */
+  unflushed() {
+    return this.text.substring(this.flushedLength).trim();
+  }
+}
+
+module.exports = ParagraphStreamBuffer;
@@ -352,7 +352,10 @@ class Validator {
       } : undefined,
       aiAudit: messageData.aiAudit ? {
         checkpointId: this.sanitizeString(messageData.aiAudit.checkpointId),
-        processingTimeMs: Number(messageData.aiAudit.processingTimeMs) || 0
+        processingTimeMs: Number(messageData.aiAudit.processingTimeMs) || 0,
+        isFallback: messageData.aiAudit.isFallback ? true : undefined,
+        errorType: messageData.aiAudit.errorType || undefined,
+        attempts: messageData.aiAudit.attempts !== undefined ? Number(messageData.aiAudit.attempts) : undefined
       } : undefined
     };
 
@@ -371,6 +374,45 @@ class Validator {
       validatedMessage.clientMessageId = this.sanitizeString(messageData.clientMessageId, this.patterns.CLIENT_MESSAGE_ID.MAX_LENGTH);
     }
 
+    if (messageData.replyTo && messageData.replyTo.whatsappMessageId) {
+      validatedMessage.replyTo = {
+        whatsappMessageId: this.sanitizeString(messageData.replyTo.whatsappMessageId),
+        direction: messageData.replyTo.direction,
+        textContent: this.sanitizeString(messageData.replyTo.textContent, constants.WHATSAPP_LIMITS.MESSAGE_LENGTH),
+        timestamp: messageData.replyTo.timestamp ? new Date(messageData.replyTo.timestamp) : undefined
+      };
+    }
+
+    if (messageData.template && messageData.template.name) {
+      validatedMessage.template = {
+        name: this.sanitizeString(messageData.template.name, 512),
+        language: this.sanitizeString(messageData.template.language, 20),
+        bodyParameters: messageData.template.bodyParameters || undefined,
+        header: messageData.template.header ? {
+          type: messageData.template.header.type,
+          text: this.sanitizeString(messageData.template.header.text, 60),
+          link: this.sanitizeString(messageData.template.header.link)
+        } : undefined
+      };
+    }
+
+    if (messageData.messageGroup && messageData.messageGroup.groupId) {
+      validatedMessage.messageGroup = {
+        groupId: this.sanitizeString(messageData.messageGroup.groupId),
+        partIndex: Number(messageData.messageGroup.partIndex),
+        partCount: Number(messageData.messageGroup.partCount)
+      };
+    }
+
+    if (messageData.interactiveReply) {
+      validatedMessage.interactiveReply = {
+        replyType: messageData.interactiveReply.replyType,
+        id: this.sanitizeString(messageData.interactiveReply.id, 256),
+        title: this.sanitizeString(messageData.interactiveReply.title, 256),
+        description: this.sanitizeString(messageData.interactiveReply.description, 256)
+      };
+    }
+
     return validatedMessage;
   }
 
@@ -427,6 +469,15 @@ class Validator {
       }
     }
 
+    // Validate replyToMessageId (optional - quotes a message in the conversation)
+    if (requestData.replyToMessageId !== undefined && requestData.replyToMessageId !== null) {
+      try {
+        this.validateMessageId(requestData.replyToMessageId);
+      } catch (error) {
+        errors.push(`replyToMessageId: ${error.message}`);
+      }
+    }
+
     if (errors.length > 0) {
       throw new Error(`LM message validation failed: ${errors.join(', ')}`);
     }
@@ -440,11 +491,227 @@ class Validator {
       // Always include lmName - use "NA" as default when not provided
       lmName: (requestData.lmName !== undefined && requestData.lmName !== null) 
         ? this.sanitizeString(requestData.lmName, 100)
-        : 'NA'
+        : 'NA',
+      replyToMessageId: requestData.replyToMessageId ? this.sanitizeString(requestData.replyToMessageId) : null
     };
 
     return validatedData;
   }
+
+  /**
+   * Validate the sender fields shared by the LM media, template and reaction requests
+   * (phoneNumber, lmId, lmName, clientMessageId)
+   * @param {Object} options - { requireClientMessageId } (reactions are not stored as messages)
+   * @returns {Array<string>} - Error messages
+   */
+  collectLmSenderErrors(requestData, { requireClientMessageId = true } = {}) {
+    const errors = [];
+
+    if (!requestData.phoneNumber) {
+      errors.push('phoneNumber is required');
+    } else {
+      try {
+        this.validatePhoneNumber(requestData.phoneNumber);
+      } catch (error) {
+        errors.push(`phoneNumber: ${error.message}`);
+      }
+    }
+
+    if (!requestData.lmId) {
+      errors.push('lmId is required');
+    } else if (typeof requestData.lmId !== 'string' || requestData.lmId.trim().length === 0) {
+      errors.push('lmId must be a non-empty string');
+    }
+
+    if (requestData.lmName !== undefined && requestData.lmName !== null) {
+      if (typeof requestData.lmName !== 'string' || requestData.lmName.trim().length === 0) {
+        errors.push('lmName must be a non-empty string when provided');
+      } else if (requestData.lmName.length > 100) {
+        errors.push('lmName cannot exceed 100 characters');
+      }
+    }
+
+    if (!requestData.clientMessageId) {
+      if (requireClientMessageId) {
+        errors.push('clientMessageId is required');
+      }
+    } else {
+      try {
+        this.validateClientMessageId(requestData.clientMessageId);
+      } catch (error) {
+        errors.push(`clientMessageId: ${error.message}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate LM media message request (POST /api/conversation/lm/send-media)
+   * Same identity fields as validateLmMessage plus the media source (mediaUrl or base64 mediaData)
+   */
+  validateLmMediaMessage(requestData) {
+    const errors = this.collectLmSenderErrors(requestData);
+
+    // Media type and source
+    if (!constants.OUTBOUND_MEDIA.TYPES.includes(requestData.mediaType)) {
+      errors.push(`mediaType must be one of: ${constants.OUTBOUND_MEDIA.TYPES.join(', ')}`);
+    }
+
+    if (!requestData.mediaUrl && !requestData.mediaData) {
+      errors.push('mediaUrl or mediaData (base64) is required');
+    } else if (requestData.mediaUrl && requestData.mediaData) {
+      errors.push('Provide either mediaUrl or mediaData, not both');
+    } else if (requestData.mediaUrl && !/^https?:\/\//i.test(requestData.mediaUrl)) {
+      errors.push('mediaUrl must be an http(s) URL');
+    } else if (requestData.mediaData && !requestData.mimeType) {
+      errors.push('mimeType is required with mediaData');
+    }
+
+    if (requestData.caption !== undefined && requestData.caption !== null) {
+      if (typeof requestData.caption !== 'string') {
+        errors.push('caption must be a string when provided');
+      } else if (requestData.caption.length > constants.OUTBOUND_MEDIA.MAX_CAPTION_LENGTH) {
+        errors.push(`caption cannot exceed ${constants.OUTBOUND_MEDIA.MAX_CAPTION_LENGTH} characters`);
+      }
+    }
+
+    if (requestData.replyToMessageId !== undefined && requestData.replyToMessageId !== null) {
+      try {
+        this.validateMessageId(requestData.replyToMessageId);
+      } catch (error) {
+        errors.push(`replyToMessageId: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`LM media message validation failed: ${errors.join(', ')}`);
+    }
+
+    return {
+      phoneNumber: this.sanitizeString(requestData.phoneNumber),
+      lmId: this.sanitizeString(requestData.lmId, 50),
+      lmName: (requestData.lmName !== undefined && requestData.lmName !== null)
+        ? this.sanitizeString(requestData.lmName, 100)
+        : 'NA',
+      clientMessageId: this.sanitizeString(requestData.clientMessageId, this.patterns.CLIENT_MESSAGE_ID.MAX_LENGTH),
+      mediaType: requestData.mediaType,
+      mediaUrl: requestData.mediaUrl || null,
+      mediaBuffer: requestData.mediaData ? Buffer.from(requestData.mediaData, 'base64') : null,
+      mimeType: requestData.mimeType ? this.sanitizeString(requestData.mimeType, 100) : null,
+      filename: requestData.filename ? this.sanitizeString(requestData.filename, 255) : null,
+      caption: requestData.caption || null,
+      replyToMessageId: requestData.replyToMessageId ? this.sanitizeString(requestData.replyToMessageId) : null
+    };
+  }
+
+  /**
+   * Validate LM template message request (POST /api/conversation/lm/send-template)
+   * Body parameters are named ({ key: value }) or positional ([value]); the header is text or media by link
+   */
+  validateLmTemplateMessage(requestData) {
+    const errors = this.collectLmSenderErrors(requestData);
+    const templateConfig = constants.TEMPLATE_MESSAGES;
+
+    if (!requestData.templateName || typeof requestData.templateName !== 'string' ||
+        !/^[a-z0-9_]+$/.test(requestData.templateName)) {
+      errors.push('templateName is required (lowercase letters, digits and underscores)');
+    }
+
+    if (requestData.languageCode !== undefined && requestData.languageCode !== null &&
+        !/^[a-z]{2,3}(_[A-Z]{2})?$/.test(requestData.languageCode)) {
+      errors.push('languageCode must look like "en" or "en_US"');
+    }
+
+    const bodyParameters = requestData.bodyParameters;
+    if (bodyParameters !== undefined && bodyParameters !== null) {
+      const values = Array.isArray(bodyParameters) ? bodyParameters :
+        (typeof bodyParameters === 'object' ? Object.values(bodyParameters) : null);
+
+      if (!values) {
+        errors.push('bodyParameters must be an object (named) or an array (positional)');
+      } else if (values.some(value => value === null || value === undefined || String(value).trim().length === 0)) {
+        errors.push('bodyParameters cannot contain empty values');
+      }
+    }
+
+    const header = requestData.header;
+    if (header !== undefined && header !== null) {
+      if (!templateConfig.HEADER_TYPES.includes(header.type)) {
+        errors.push(`header.type must be one of: ${templateConfig.HEADER_TYPES.join(', ')}`);
+      } else if (header.type === 'text' && !header.text) {
+        errors.push('header.text is required for text headers');
+      } else if (header.type !== 'text' && (!header.link || !/^https:\/\//i.test(header.link))) {
+        errors.push('header.link (https URL) is required for media headers');
+      }
+    }
+
+    if (requestData.buttons !== undefined && requestData.buttons !== null) {
+      if (!Array.isArray(requestData.buttons)) {
+        errors.push('buttons must be an array');
+      } else {
+        requestData.buttons.forEach((button, i) => {
+          if (!templateConfig.BUTTON_SUB_TYPES.includes(button?.subType)) {
+            errors.push(`buttons[${i}].subType must be one of: ${templateConfig.BUTTON_SUB_TYPES.join(', ')}`);
+          } else if (!Number.isInteger(button.index) || button.index < 0) {
+            errors.push(`buttons[${i}].index must be a non-negative integer`);
+          } else if (button.subType === 'url' ? !button.text : !button.payload) {
+            errors.push(`buttons[${i}] requires ${button.subType === 'url' ? 'text' : 'payload'}`);
+          }
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`LM template message validation failed: ${errors.join(', ')}`);
+    }
+
+    return {
+      phoneNumber: this.sanitizeString(requestData.phoneNumber),
+      lmId: this.sanitizeString(requestData.lmId, 50),
+      lmName: (requestData.lmName !== undefined && requestData.lmName !== null)
+        ? this.sanitizeString(requestData.lmName, 100)
+        : 'NA',
+      clientMessageId: this.sanitizeString(requestData.clientMessageId, this.patterns.CLIENT_MESSAGE_ID.MAX_LENGTH),
+      templateName: requestData.templateName,
+      languageCode: requestData.languageCode || templateConfig.DEFAULT_LANGUAGE,
+      bodyParameters: bodyParameters || null,
+      header: header || null,
+      buttons: requestData.buttons || []
+    };
+  }
+
+  /**
+   * Validate LM reaction request (POST /api/conversation/lm/react)
+   * An empty emoji removes the reaction
+   */
+  validateLmReaction(requestData) {
+    const errors = this.collectLmSenderErrors(requestData, { requireClientMessageId: false });
+
+    try {
+      this.validateMessageId(requestData.messageId);
+    } catch (error) {
+      errors.push(`messageId: ${error.message}`);
+    }
+
+    const emoji = requestData.emoji === undefined || requestData.emoji === null ? '' : requestData.emoji;
+    if (typeof emoji !== 'string') {
+      errors.push('emoji must be a string');
+    } else if (emoji && (emoji.length > 16 || !/\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji))) {
+      errors.push('emoji must be a single emoji (or empty to remove the reaction)');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`LM reaction validation failed: ${errors.join(', ')}`);
+    }
+
+    return {
+      phoneNumber: this.sanitizeString(requestData.phoneNumber),
+      lmId: this.sanitizeString(requestData.lmId, 50),
+      messageId: this.sanitizeString(requestData.messageId),
+      emoji: emoji.trim()
+    };
+  }
 }
 
 // Create singleton instance
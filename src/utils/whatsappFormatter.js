@@ -0,0 +1,125 @@
+/**
+ * WhatsApp Formatter Utility
+ * Converts the Markdown emitted by the AI backend into WhatsApp formatting:
+ *   **bold** / __bold__  -> *bold*
+ *   *italic* / _italic_  -> _italic_
+ *   ~~strike~~           -> ~strike~
+ *   `code` / ```fences``` -> ```monospace```
+ *   # Heading            -> *Heading*
+ *   [text](url)          -> text (url)
+ *   - item / * item      -> • item
+ * Code, URLs and backslash-escaped characters are protected from conversion and restored
+ * verbatim at the end. Pure functions only - no I/O, so it can be tested on its own.
+ */
+
+// Private-use characters - never present in AI text
+const PLACEHOLDER_START = '\uE000';
+const PLACEHOLDER_END = '\uE001';
+const BOLD = '\uE002';
+const ITALIC = '\uE003';
+const STRIKE = '\uE004';
+
+const ZERO_WIDTH_SPACE = '\u200B';
+
+const MONOSPACE = '```';
+const MARKER_CHARS = ['*', '_', '~', '`'];
+const BULLET = '•';
+
+class WhatsAppFormatter {
+
+  /**
+   * Convert Markdown text to WhatsApp formatting
+   * @param {string} markdown - Text as returned by the AI
+   * @returns {string} - Text ready for whatsappService.sendMessage
+   */
+  static fromMarkdown(markdown) {
+    if (!markdown || typeof markdown !== 'string') {
+      return markdown;
+    }
+
+    const protectedSegments = [];
+    const protect = (value) => {
+      protectedSegments.push(value);
+      return `${PLACEHOLDER_START}${protectedSegments.length - 1}${PLACEHOLDER_END}`;
+    };
+
+    let text = markdown.replace(/\r\n/g, '\n');
+
+    // 1. Code fences and inline code keep their contents untouched
+    text = text.replace(/```[^\n`]*\n([\s\S]*?)\n?```/g, (match, code) => protect(`${MONOSPACE}\n${code}\n${MONOSPACE}`));
+    text = text.replace(/`([^`\n]+)`/g, (match, code) => protect(`${MONOSPACE}${code}${MONOSPACE}`));
+
+    // 2. Backslash escapes become literal characters
+    // WhatsApp has no escape syntax, so a zero-width space keeps a literal marker from pairing up
+    text = text.replace(/\\([\\`*_{}\[\]()#+\-.!~>|])/g, (match, char) =>
+      protect(MARKER_CHARS.includes(char) ? `${char}${ZERO_WIDTH_SPACE}` : char));
+
+    // 3. Links and images - the URL is protected so underscores in it are not read as italics
+    text = text.replace(/!?\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => {
+      const cleanLabel = label.trim();
+      return !cleanLabel || cleanLabel === url ? protect(url) : `${cleanLabel} (${protect(url)})`;
+    });
+    text = text.replace(/<((?:https?|mailto):[^>\s]+)>/g, (match, url) => protect(url));
+    // Trailing emphasis markers and punctuation belong to the sentence, not the URL
+    text = text.replace(/\bhttps?:\/\/[^\s)]*[^\s)*_~.,;:!?'"]/g, (url) => protect(url));
+
+    // 4. Line-level constructs
+    text = text
+      .split('\n')
+      .map(line => WhatsAppFormatter.formatLine(line))
+      .join('\n');
+
+    // 5. Inline emphasis (innermost markers are resolved by the order below)
+    text = text.replace(/(\*\*\*|___)(?!\s)([^\n]+?)(?<!\s)\1/g, `${BOLD}${ITALIC}$2${ITALIC}${BOLD}`);
+    text = text.replace(/\*\*(?!\s)([^\n]+?)(?<!\s)\*\*/g, `${BOLD}$1${BOLD}`);
+    text = text.replace(/(^|[^\w])__(?!\s)([^\n]+?)(?<!\s)__(?!\w)/g, `$1${BOLD}$2${BOLD}`);
+    text = text.replace(/(^|[^\w*])\*(?![\s*])([^\n*]+?)(?<![\s*])\*(?!\*)/g, `$1${ITALIC}$2${ITALIC}`);
+    text = text.replace(/(^|[^\w])_(?![\s_])([^\n_]+?)(?<![\s_])_(?!\w)/g, `$1${ITALIC}$2${ITALIC}`);
+    text = text.replace(/~~(?!\s)([^\n]+?)(?<!\s)~~/g, `${STRIKE}$1${STRIKE}`);
+
+    // 6. Emit WhatsApp markers and restore protected segments
+    text = text
+      .replace(new RegExp(BOLD, 'g'), '*')
+      .replace(new RegExp(ITALIC, 'g'), '_')
+      .replace(new RegExp(STRIKE, 'g'), '~');
+
+    text = WhatsAppFormatter.restore(text, protectedSegments);
+
+    return text.replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Convert a single line: headings, bullets and horizontal rules
+   */
+  static formatLine(line) {
+    // Horizontal rule
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      return '';
+    }
+
+    // Heading - flattened to a bold line (emphasis inside is dropped to avoid nested bold)
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const title = heading[1].replace(/\*\*|__/g, '');
+      return title ? `${BOLD}${title}${BOLD}` : '';
+    }
+
+    // Bullet list item (keeps indentation for nested lists)
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    if (bullet) {
+      return `${bullet[1]}${BULLET} ${bullet[2]}`;
+    }
+
+    return line;
+  }
+
+  /**
+   * Put protected segments back in place of their placeholders
+   */
+  static restore(text, protectedSegments) {
+    const pattern = new RegExp(`${PLACEHOLDER_START}(\\d+)${PLACEHOLDER_END}`, 'g');
+    return text.replace(pattern, (match, index) => protectedSegments[Number(index)]);
+  }
+}
+
+module.exports = WhatsAppFormatter;